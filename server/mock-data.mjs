@@ -0,0 +1,224 @@
+/**
+ * Deterministic synthetic market data for the mock server
+ *
+ * Prices are a smooth function of symbol and time, so the same request always
+ * returns the same candles and every width agrees on the price at any moment.
+ * FX and stocks only trade inside their sessions, so weekends have no candles.
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const WEEK = 7 * DAY;
+
+// Market hours per category, as UTC day and time pairs
+const FOREX_HOURS = [1, 2, 3, 4, 5].map((day) => ({
+  open: { day, hour: 0, minute: 0 },
+  close: { day, hour: 23, minute: 59 },
+}));
+const STOCK_HOURS = [1, 2, 3, 4, 5].map((day) => ({
+  open: { day, hour: 13, minute: 30 },
+  close: { day, hour: 20, minute: 0 },
+}));
+
+export const INSTRUMENTS = {
+  BTCUSD: { symbol: "BTCUSD", name: "Bitcoin / US Dollar", category: "Crypto", digits: 2, basePrice: 60000, market: [] },
+  ETHUSD: { symbol: "ETHUSD", name: "Ether / US Dollar", category: "Crypto", digits: 2, basePrice: 3000, market: [] },
+  CADCHF: { symbol: "CADCHF", name: "Canadian Dollar / Swiss Franc", category: "Forex", digits: 5, basePrice: 0.65, market: FOREX_HOURS },
+  AAPL: { symbol: "AAPL", name: "Apple Inc.", category: "Stocks", digits: 2, basePrice: 190, market: STOCK_HOURS },
+  MSFT: { symbol: "MSFT", name: "Microsoft Corporation", category: "Stocks", digits: 2, basePrice: 420, market: STOCK_HOURS },
+};
+
+const MAX_BARS = 5000;
+
+/**
+ * Get instrument details, without the generator settings
+ */
+export function getInstrument(symbol) {
+  const instrument = INSTRUMENTS[symbol];
+  if (!instrument) return null;
+
+  const { basePrice, ...details } = instrument;
+  return details;
+}
+
+/**
+ * Parse a width like 1m, 4h, 1d, 1w or 1mo into milliseconds.
+ * Months are calendar months and handled separately.
+ */
+export function parseWidth(width) {
+  const match = /^(\d+)(m|h|d|w|mo)$/.exec(width || "");
+  if (!match) return null;
+
+  const value = Number(match[1]);
+  switch (match[2]) {
+    case "m": return value * MINUTE;
+    case "h": return value * HOUR;
+    case "d": return value * DAY;
+    case "w": return value * WEEK;
+    case "mo": return value * 30 * DAY;
+  }
+}
+
+/**
+ * Get the start of the bar containing a timestamp. Weeks start on Monday and
+ * months on the first of the month, in UTC.
+ */
+export function barStart(width, timestamp) {
+  if (width.endsWith("mo")) {
+    const months = Number(width.slice(0, -2));
+    const date = new Date(timestamp);
+    const month = Math.floor((date.getUTCFullYear() * 12 + date.getUTCMonth()) / months) * months;
+    return Date.UTC(Math.floor(month / 12), month % 12, 1);
+  }
+
+  const duration = parseWidth(width);
+
+  if (width.endsWith("w")) {
+    const mondayOffset = 4 * DAY; // 1 Jan 1970 was a Thursday
+    return Math.floor((timestamp - mondayOffset) / duration) * duration + mondayOffset;
+  }
+
+  return Math.floor(timestamp / duration) * duration;
+}
+
+/**
+ * Get the start of the bar after the one starting at start
+ */
+function nextBarStart(width, start) {
+  if (width.endsWith("mo")) {
+    const months = Number(width.slice(0, -2));
+    const date = new Date(start);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1);
+  }
+
+  return start + parseWidth(width);
+}
+
+/**
+ * Check if an instrument is trading at a moment
+ */
+export function isMarketOpen(instrument, timestamp) {
+  if (instrument.category === "Crypto") return true;
+
+  const date = new Date(timestamp);
+  const minutes = date.getUTCHours() * 60 + date.getUTCMinutes();
+
+  return instrument.market.some(
+    (session) =>
+      session.open.day === date.getUTCDay() &&
+      minutes >= session.open.hour * 60 + session.open.minute &&
+      minutes <= session.close.hour * 60 + session.close.minute
+  );
+}
+
+/**
+ * Check if a bar has any trading in it. Intraday bars need the market open
+ * at their start, daily bars a trading day, longer bars always trade.
+ */
+function isTradingBar(instrument, width, start) {
+  if (instrument.category === "Crypto") return true;
+  if (width.endsWith("w") || width.endsWith("mo")) return true;
+
+  const duration = parseWidth(width);
+  if (duration >= DAY) {
+    const day = new Date(start).getUTCDay();
+    return instrument.market.some((session) => session.open.day === day);
+  }
+
+  // Any moment inside the bar counts, so bars straddling the open are kept
+  for (let t = start; t < start + duration; t += Math.min(duration, 30 * MINUTE)) {
+    if (isMarketOpen(instrument, t)) return true;
+  }
+  return false;
+}
+
+/**
+ * Hash a string and number into [0, 1)
+ */
+function hash(symbol, n) {
+  let h = 2166136261;
+  const input = `${symbol}:${n}`;
+  for (let i = 0; i < input.length; i++) {
+    h ^= input.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return (h >>> 0) / 4294967296;
+}
+
+/**
+ * Get the price of an instrument at a moment
+ */
+function priceAt(instrument, timestamp) {
+  const t = timestamp / DAY;
+  const seed = hash(instrument.symbol, 0) * 100;
+
+  // Slow trend, weekly swing and minute-level wiggle
+  const drift =
+    0.15 * Math.sin(t / 90 + seed) +
+    0.05 * Math.sin(t / 7 + seed * 2) +
+    0.01 * Math.sin(t * 24 * 6 + seed * 3) +
+    0.002 * (hash(instrument.symbol, Math.floor(timestamp / MINUTE)) - 0.5);
+
+  return instrument.basePrice * (1 + drift);
+}
+
+/**
+ * Round a price to the instrument's digits
+ */
+function round(instrument, price) {
+  const factor = Math.pow(10, instrument.digits);
+  return Math.round(price * factor) / factor;
+}
+
+/**
+ * Build the candle for a bar, up to now for the bar still forming
+ */
+function buildCandle(instrument, width, start, now) {
+  const end = Math.min(nextBarStart(width, start), now);
+  const open = priceAt(instrument, start);
+  const close = priceAt(instrument, end);
+  const range = Math.abs(close - open) + instrument.basePrice * 0.001;
+
+  return {
+    timestamp: start,
+    open: round(instrument, open),
+    high: round(instrument, Math.max(open, close) + range * hash(instrument.symbol, start + 1)),
+    low: round(instrument, Math.min(open, close) - range * hash(instrument.symbol, start + 2)),
+    close: round(instrument, close),
+    volume: Math.round(1000 + 9000 * hash(instrument.symbol, start + 3)),
+  };
+}
+
+/**
+ * Generate the candles starting inside [start, end], capped at MAX_BARS
+ */
+export function generateCandles(symbol, width, start, end, now = Date.now()) {
+  const instrument = INSTRUMENTS[symbol];
+  if (!instrument || !parseWidth(width)) return [];
+
+  const candles = [];
+  const last = Math.min(end, now);
+
+  for (
+    let barTime = barStart(width, start) < start ? nextBarStart(width, barStart(width, start)) : start;
+    barTime <= last && candles.length < MAX_BARS;
+    barTime = nextBarStart(width, barTime)
+  ) {
+    if (isTradingBar(instrument, width, barTime)) {
+      candles.push(buildCandle(instrument, width, barTime, now));
+    }
+  }
+
+  return candles;
+}
+
+/**
+ * Get the bar forming now, or null while the market is closed
+ */
+export function getCurrentCandle(symbol, width, now = Date.now()) {
+  const instrument = INSTRUMENTS[symbol];
+  if (!instrument || !parseWidth(width) || !isMarketOpen(instrument, now)) return null;
+
+  return buildCandle(instrument, width, barStart(width, now), now);
+}
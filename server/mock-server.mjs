@@ -0,0 +1,230 @@
+/**
+ * Mock candle server
+ *
+ * A local stand-in for the token endpoint, the candle API and the quote
+ * WebSocket, serving deterministic synthetic data so the app runs without
+ * credentials or network access. Point TOKEN_URL, API_BASE_URL and
+ * WS_BASE_URL at it.
+ */
+import http from "node:http";
+import { WebSocketServer } from "ws";
+import {
+  generateCandles,
+  getCurrentCandle,
+  getInstrument,
+  parseWidth,
+} from "./mock-data.mjs";
+
+const config = {
+  port: Number(process.env.MOCK_SERVER_PORT) || 8788,
+  tokenLifetime: Number(process.env.MOCK_TOKEN_LIFETIME) || 3600, // Seconds
+  tickInterval: 1000, // Live update rate per subscription
+  pingInterval: 30000, // Server heartbeat
+  defaultBars: 300, // Bars returned when no range is given
+};
+
+let tokenCounter = 0;
+
+/**
+ * Write a JSON response with CORS headers
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Cache-Control": "no-store",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Authorization, Content-Type",
+  });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+/**
+ * Check for a bearer token. Any token this server issued is accepted.
+ */
+function isAuthorized(req) {
+  return /^Bearer mock-token-\d+$/.test(req.headers.authorization || "");
+}
+
+/**
+ * Parse a "SYMBOL@width" key, or null if it is malformed
+ */
+function parseKey(key) {
+  const [symbol, width] = key.split("@");
+  return symbol && getInstrument(symbol) && parseWidth(width) ? { symbol, width } : null;
+}
+
+/**
+ * Parse the subscriptions passed in the feed URL
+ */
+function parseSymbols(searchParams) {
+  return (searchParams.get("symbols") || "").split(",").filter((key) => parseKey(key));
+}
+
+/**
+ * Issue a token for any client credentials
+ */
+function handleToken(req, res) {
+  if (req.method !== "POST") {
+    sendJson(res, 405, { error: "method_not_allowed" });
+    return;
+  }
+
+  tokenCounter++;
+  sendJson(res, 200, {
+    access_token: `mock-token-${tokenCounter}`,
+    token_type: "Bearer",
+    expires_in: config.tokenLifetime,
+  });
+}
+
+/**
+ * Serve candles for a symbol, width and optional range
+ */
+function handleCandles(searchParams, res) {
+  const symbol = searchParams.get("symbol");
+  const width = searchParams.get("width");
+
+  if (!getInstrument(symbol) || !parseWidth(width)) {
+    sendJson(res, 400, { error: "invalid_symbol_or_width" });
+    return;
+  }
+
+  const end = Number(searchParams.get("end")) || Date.now();
+  const start = Number(searchParams.get("start")) || end - config.defaultBars * parseWidth(width);
+
+  sendJson(res, 200, generateCandles(symbol, width, start, end));
+}
+
+/**
+ * Serve instrument details
+ */
+function handleInstrument(symbol, res) {
+  const instrument = getInstrument(symbol);
+
+  if (!instrument) {
+    sendJson(res, 404, { error: "unknown_symbol" });
+    return;
+  }
+
+  sendJson(res, 200, instrument);
+}
+
+/**
+ * Push live candles for a set of subscriptions until stopped
+ */
+function startFeed(subscriptions, send) {
+  const timer = setInterval(() => {
+    subscriptions.forEach((key) => {
+      const { symbol, width } = parseKey(key);
+      const candle = getCurrentCandle(symbol, width);
+
+      if (candle) {
+        send({ ...candle, symbol, width });
+      }
+    });
+  }, config.tickInterval);
+
+  return () => clearInterval(timer);
+}
+
+/**
+ * Stream live candles as Server-Sent Events
+ */
+function handleStream(req, res, searchParams) {
+  const subscriptions = new Set(parseSymbols(searchParams));
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-store",
+    Connection: "keep-alive",
+    "Access-Control-Allow-Origin": "*",
+  });
+  res.write(": connected\n\n");
+
+  const stopFeed = startFeed(subscriptions, (data) => {
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  });
+  const heartbeat = setInterval(() => res.write("event: ping\ndata: ping\n\n"), config.pingInterval);
+
+  req.on("close", () => {
+    stopFeed();
+    clearInterval(heartbeat);
+  });
+}
+
+const server = http.createServer((req, res) => {
+  const { pathname, searchParams } = new URL(req.url, `http://${req.headers.host}`);
+  console.log(`${req.method} ${req.url}`);
+
+  if (req.method === "OPTIONS") {
+    sendJson(res, 204);
+    return;
+  }
+
+  if (pathname === "/oauth2/token") {
+    handleToken(req, res);
+    return;
+  }
+
+  if (pathname === "/candle/stream") {
+    handleStream(req, res, searchParams);
+    return;
+  }
+
+  if (!isAuthorized(req)) {
+    sendJson(res, 401, { error: "unauthorized" });
+    return;
+  }
+
+  if (pathname === "/candle") {
+    handleCandles(searchParams, res);
+    return;
+  }
+
+  const instrumentMatch = /^\/instrument\/([^/]+)$/.exec(pathname);
+  if (instrumentMatch) {
+    handleInstrument(decodeURIComponent(instrumentMatch[1]), res);
+    return;
+  }
+
+  sendJson(res, 404, { error: "not_found" });
+});
+
+// Quote WebSocket: "KEY" subscribes, "-KEY" unsubscribes, ping/pong both ways
+const wss = new WebSocketServer({ server, path: "/candle" });
+
+wss.on("connection", (ws, req) => {
+  const { searchParams } = new URL(req.url, `http://${req.headers.host}`);
+  const subscriptions = new Set(parseSymbols(searchParams));
+  console.log(`🔌 WebSocket connected: ${Array.from(subscriptions).join(", ") || "no subscriptions"}`);
+
+  const stopFeed = startFeed(subscriptions, (data) => ws.send(JSON.stringify(data)));
+  const heartbeat = setInterval(() => ws.send("ping"), config.pingInterval);
+
+  ws.on("message", (raw) => {
+    const message = raw.toString();
+
+    if (message === "ping") {
+      ws.send("pong");
+    } else if (message === "pong") {
+      // Answer to our heartbeat
+    } else if (message.startsWith("-")) {
+      subscriptions.delete(message.slice(1));
+    } else if (parseKey(message)) {
+      subscriptions.add(message);
+    }
+  });
+
+  ws.on("close", () => {
+    stopFeed();
+    clearInterval(heartbeat);
+  });
+});
+
+server.listen(config.port, () => {
+  console.log(`✅ Mock server listening on http://localhost:${config.port}`);
+  console.log(`   TOKEN_URL=http://localhost:${config.port}/oauth2/token`);
+  console.log(`   API_BASE_URL=http://localhost:${config.port}`);
+  console.log(`   WS_BASE_URL=ws://localhost:${config.port}`);
+});
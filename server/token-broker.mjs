@@ -0,0 +1,131 @@
+/**
+ * Token broker
+ *
+ * Holds the OAuth client secret on the server side and hands out short-lived
+ * bearer tokens to the browser, so the secret never ends up in the bundle.
+ */
+import http from "node:http";
+
+const config = {
+  clientId: process.env.CLIENT_ID,
+  clientSecret: process.env.CLIENT_SECRET,
+  tokenUrl:
+    process.env.TOKEN_URL ||
+    "https://eightcap-embedded.auth.ap-northeast-1.amazoncognito.com/oauth2/token",
+  port: Number(process.env.TOKEN_BROKER_PORT) || 8787,
+  allowedOrigin: process.env.TOKEN_BROKER_ALLOWED_ORIGIN || "http://localhost:1234",
+  refreshThreshold: 60000, // Refresh 60 seconds before expiry
+};
+
+// Validate required fields
+const missingFields = ["clientId", "clientSecret"].filter((field) => !config[field]);
+if (missingFields.length > 0) {
+  console.error(`❌ Missing required configuration: ${missingFields.join(", ")}`);
+  process.exit(1);
+}
+
+let token = null;
+let tokenExpiry = null;
+let pendingToken = null;
+
+/**
+ * Check if the cached upstream token is valid and not near expiry
+ */
+function isTokenValid() {
+  return token && tokenExpiry && Date.now() < tokenExpiry - config.refreshThreshold;
+}
+
+/**
+ * Fetch a new token from the upstream token endpoint using client credentials
+ */
+async function fetchToken() {
+  const formData = new URLSearchParams();
+  formData.append("grant_type", "client_credentials");
+  formData.append("client_id", config.clientId);
+
+  const authHeader =
+    "Basic " + Buffer.from(`${config.clientId}:${config.clientSecret}`).toString("base64");
+
+  const response = await fetch(config.tokenUrl, {
+    method: "POST",
+    headers: {
+      Authorization: authHeader,
+      "Content-Type": "application/x-www-form-urlencoded",
+    },
+    body: formData,
+  });
+
+  if (!response.ok) {
+    throw new Error(`Token request failed: ${response.status} ${response.statusText}`);
+  }
+
+  const data = await response.json();
+
+  token = data.access_token;
+  tokenExpiry = Date.now() + data.expires_in * 1000;
+
+  console.log(`🔑 Fetched new upstream token, expires ${new Date(tokenExpiry).toISOString()}`);
+
+  return token;
+}
+
+/**
+ * Get a valid token, sharing a single upstream request between callers
+ */
+async function getToken() {
+  if (isTokenValid()) {
+    return token;
+  }
+
+  if (!pendingToken) {
+    pendingToken = fetchToken().finally(() => {
+      pendingToken = null;
+    });
+  }
+
+  return pendingToken;
+}
+
+/**
+ * Write a JSON response with CORS headers
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Cache-Control": "no-store",
+    "Access-Control-Allow-Origin": config.allowedOrigin,
+    "Access-Control-Allow-Methods": "POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+  });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+
+  if (req.method === "OPTIONS") {
+    sendJson(res, 204);
+    return;
+  }
+
+  if (pathname !== "/token" || req.method !== "POST") {
+    sendJson(res, 404, { error: "not_found" });
+    return;
+  }
+
+  try {
+    const accessToken = await getToken();
+    sendJson(res, 200, {
+      access_token: accessToken,
+      token_type: "Bearer",
+      expires_in: Math.floor((tokenExpiry - Date.now()) / 1000),
+    });
+  } catch (error) {
+    console.error("❌ Error fetching token:", error);
+    sendJson(res, 502, { error: "token_unavailable" });
+  }
+});
+
+server.listen(config.port, () => {
+  console.log(`✅ Token broker listening on http://localhost:${config.port}/token`);
+});
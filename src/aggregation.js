@@ -0,0 +1,153 @@
+import { floorToBar, parseIntervalSpec } from "./intervals";
+
+/**
+ * Client-side timeframe aggregation
+ *
+ * The API serves a fixed set of widths. Any other width (3m, 10m, 3h, 2d,
+ * 3mo...) is built from the largest native width that divides it evenly:
+ * open from the first bar, close from the last, the highest high, the
+ * lowest low and the summed volume.
+ */
+
+/**
+ * Widths the API serves
+ */
+export const NATIVE_WIDTHS = ["1m", "5m", "15m", "30m", "1h", "2h", "4h", "12h", "1d", "1w", "1mo"];
+
+/**
+ * Check if the API serves a width itself
+ */
+export function isNativeWidth(width) {
+  return NATIVE_WIDTHS.includes(width);
+}
+
+/**
+ * Get a width's length in its unit family: minutes for m and h, days for d,
+ * weeks for w and months for mo
+ */
+function getSize({ unit, value }) {
+  if (unit === "h") return { family: "m", size: value * 60 };
+  return { family: unit, size: value };
+}
+
+/**
+ * Get the native width a width is built from: itself if native, otherwise
+ * the largest native width of the same unit family dividing it evenly.
+ * Returns null for widths that cannot be built.
+ */
+export function getBaseWidth(width) {
+  if (isNativeWidth(width)) return width;
+  if (!/^\d+(m|h|d|w|mo)$/.test(width || "")) return null;
+
+  const target = getSize(parseIntervalSpec(width));
+  let best = null;
+
+  NATIVE_WIDTHS.forEach((native) => {
+    const { family, size } = getSize(parseIntervalSpec(native));
+    if (family !== target.family || target.size % size !== 0) return;
+    if (!best || size > best.size) {
+      best = { width: native, size };
+    }
+  });
+
+  return best ? best.width : null;
+}
+
+/**
+ * Roll sorted candles of one bar into a single candle
+ */
+function rollUp(timestamp, candles) {
+  return {
+    timestamp,
+    open: candles[0].open,
+    high: Math.max(...candles.map((candle) => candle.high)),
+    low: Math.min(...candles.map((candle) => candle.low)),
+    close: candles[candles.length - 1].close,
+    volume: candles.reduce((total, candle) => total + (Number(candle.volume) || 0), 0),
+  };
+}
+
+/**
+ * Aggregate candles of a native width into candles of a wider width
+ */
+export function aggregateCandles(candles, width, options = {}) {
+  if (!Array.isArray(candles) || candles.length === 0) return [];
+
+  const buckets = new Map();
+
+  [...candles]
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .forEach((candle) => {
+      const bucket = floorToBar(candle.timestamp, width, options);
+      if (!buckets.has(bucket)) {
+        buckets.set(bucket, []);
+      }
+      buckets.get(bucket).push(candle);
+    });
+
+  return Array.from(buckets, ([bucket, bucketCandles]) => rollUp(bucket, bucketCandles));
+}
+
+/**
+ * Builds the forming bar of a wider width from live updates of its native
+ * width. Each update replaces the native bar it belongs to, so repeated
+ * updates of the same native bar are counted once.
+ */
+export class CandleAggregator {
+  constructor(width, options = {}) {
+    this.width = width;
+    this.timeZone = options.timeZone;
+
+    // Native bars of the latest buckets, by bucket then timestamp. The
+    // previous bucket is kept for updates that arrive after the next opens.
+    this.buckets = new Map();
+    this.maxBuckets = 2;
+  }
+
+  /**
+   * Add native candles without producing output, e.g. the history loaded
+   * before subscribing
+   */
+  seed(candles) {
+    candles.forEach((candle) => this.add(candle));
+  }
+
+  /**
+   * Add or replace a native candle, returning the bucket it belongs to
+   */
+  add(candle) {
+    const bucket = floorToBar(candle.timestamp, this.width, { timeZone: this.timeZone });
+
+    if (!this.buckets.has(bucket)) {
+      this.buckets.set(bucket, new Map());
+
+      // Forget the oldest buckets
+      const ordered = Array.from(this.buckets.keys()).sort((a, b) => a - b);
+      ordered.slice(0, -this.maxBuckets).forEach((old) => this.buckets.delete(old));
+    }
+
+    const bars = this.buckets.get(bucket);
+    if (bars) {
+      bars.set(candle.timestamp, candle);
+    }
+
+    return bucket;
+  }
+
+  /**
+   * Apply a live native candle and get the updated wider candle, carrying
+   * the update's other fields (symbol and so on) with the wider width
+   */
+  update(candle) {
+    const bucket = this.add(candle);
+    const bars = this.buckets.get(bucket);
+
+    // Too old to still be tracked
+    if (!bars) return null;
+
+    const ordered = Array.from(bars.values()).sort((a, b) => a.timestamp - b.timestamp);
+    return { ...candle, ...rollUp(bucket, ordered), width: this.width };
+  }
+}
+
+export default CandleAggregator;
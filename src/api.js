@@ -1,5 +1,39 @@
+import { AuthError } from "./auth";
+import { CandleStore } from "./candle-store";
+import { CandleCache, subtractRanges } from "./candle-cache";
+import { LruCache, countCandles, estimateBytes } from "./lru-cache";
+import { ReconnectPolicy } from "./reconnect-policy";
+import { createTransport, DEFAULT_TRANSPORTS } from "./transports";
+import { SessionRecorder, SessionReplayer } from "./session-recording";
+import {
+  EventEmitter,
+  ApiEvent,
+  ConnectionState,
+  SubscriptionAction,
+} from "./events";
+import {
+  splitRange,
+  getMaxBarsPerRequest,
+  createLimiter,
+  createAbortError,
+  isAbortError,
+} from "./utils";
+import { addBars, floorToBar } from "./intervals";
+import { CandleAggregator, aggregateCandles, getBaseWidth, isNativeWidth } from "./aggregation";
+import { SessionCalendar } from "./session-calendar";
+
+// How long a subscription may go without an update before its price is
+// considered not live, per width
+const DEFAULT_STALE_THRESHOLDS = {
+  "1m": 60 * 1000,
+  "5m": 2 * 60 * 1000,
+  "15m": 3 * 60 * 1000,
+  "30m": 3 * 60 * 1000,
+  default: 5 * 60 * 1000,
+};
+
 /**
- * API Service for handling candle data requests and WebSocket connections
+ * API Service for handling candle data requests and realtime subscriptions
  */
 export class ApiService {
   constructor(authService, config) {
@@ -8,17 +42,109 @@ export class ApiService {
     this.wsBaseUrl = config.wsBaseUrl;
     this.config = config;
 
-    // Cache management
-    this.cache = new Map();
+    // Cache management: one LRU budget shared by candles, instruments and
+    // the chart's per-symbol data (budget in candles or bytes)
+    this.cache = new LruCache({
+      maxSize: config.cacheBudget,
+      sizeOf: config.cacheBudgetUnit === "bytes" ? estimateBytes : countCandles,
+    });
     this.pendingRequests = new Map();
-    this.cachedRanges = new Map();
+    this.candleCache = new CandleCache(this.cache);
+    this.pendingRanges = new Map();
+
+    // Bound the number of candle requests in flight at once
+    this.requestLimiter = createLimiter(config.maxConcurrentRequests || 3);
+
+    // Persistent candle store, hydrated lazily per symbol and width. Recorded
+    // and replayed sessions skip it so they hold every response they need.
+    const persistCandles =
+      config.persistCandles !== false && !config.recordSession && !config.replaySession;
+    this.candleStore =
+      persistCandles && CandleStore.isSupported()
+        ? new CandleStore({ maxCandles: config.candleStoreMaxCandles })
+        : null;
+    this.hydrations = new Map();
+
+    // An evicted series is no longer in memory, so read it from the store
+    // again the next time it is wanted
+    this.cache.onEvict = (key) => {
+      if (key.startsWith("candles:")) {
+        this.hydrations.delete(key.slice("candles:".length));
+      }
+    };
 
-    // WebSocket state
-    this.ws = null;
-    this.wsConnecting = false;
+    // Opt-in recording of this session, or replay of a recorded one in
+    // place of the network
+    this.recorder = config.recordSession ? new SessionRecorder() : null;
+    this.replayer = config.replaySession
+      ? new SessionReplayer(config.replaySession, { speed: config.replaySpeed })
+      : null;
+
+    // Clock that ranges, staleness and bar closes are measured against: the
+    // recorded one while replaying, so the same ranges are asked for
+    this.now = this.replayer ? () => this.replayer.now() : config.now || (() => Date.now());
+
+    // Realtime feed, over the first transport that works
+    this.transport = null;
+    this.transportKeys = new Set(); // Keys the open transport was subscribed to
+    this.connecting = null;
     this.subscriptions = new Map();
-    this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 5;
+    this.transportNames = this.replayer ? ["replay"] : config.transports || DEFAULT_TRANSPORTS;
+    this.transportIndex = 0;
+    this.openedTransports = new Set();
+    this.transportOptions = {
+      wsBaseUrl: this.wsBaseUrl,
+      connectTimeout: config.wsConnectTimeout,
+      sseUrl: config.sseUrl,
+      referer: config.referer,
+      pollInterval: config.pollInterval,
+      replayer: this.replayer,
+      fetchCandles: (symbol, width, start, end) =>
+        this._fetchLatestCandles(symbol, width, start, end),
+    };
+
+    // Keep reconnecting with backoff until the feed is back
+    this.reconnectPolicy = new ReconnectPolicy({
+      baseDelay: config.reconnectBaseDelay,
+      maxDelay: config.reconnectMaxDelay,
+      pauseWhenHidden: config.pauseReconnectWhenHidden,
+    });
+    this.reconnectPolicy.onChange = () => this._reportConnectionLost();
+    this.reconnectPolicy.start(() => this._reconnect());
+
+    // Connection state and subscription events for the UI
+    this.events = new EventEmitter();
+    this.connectionState = null;
+    this.pendingAcks = new Set();
+
+    // Heartbeat watchdog and stale feed detection
+    this.heartbeatTimer = null;
+    this.heartbeatTimeout = config.heartbeatTimeout || 45000; // Probe after this much silence
+    this.probeTimeout = config.probeTimeout || 5000; // Reconnect if the probe gets no answer
+    this.probeSentAt = null;
+    this.lastMessageAt = null;
+    this.lastUpdateAt = new Map();
+    this.staleThresholds = { ...DEFAULT_STALE_THRESHOLDS, ...config.staleThresholds };
+    this.staleKeys = new Set();
+    this.sessionCalendars = new Map();
+
+    // Realtime updates coalesced per key and flushed once per frame, or
+    // every flushInterval ms if set
+    this.flushInterval = config.realtimeFlushInterval || 0;
+    this.pendingUpdates = new Map();
+    this.flushTimer = null;
+    this.flushFrame = null;
+
+    // Gap backfill after reconnects
+    this.hasConnected = false;
+    this.lastCandleAt = new Map();
+    this.backfillHandlers = new Map();
+    this.backfillBuffers = new Map();
+    this.backfills = new Map();
+
+    // Custom width subscriptions, as "SYMBOL@width" -> Map of callback to
+    // the native width callback feeding its aggregator
+    this.aggregatedSubscriptions = new Map();
   }
 
   /**
@@ -33,90 +159,185 @@ export class ApiService {
   }
 
   /**
-   * Store range info for data in cache
+   * Check if a response means our token was rejected
+   */
+  _isAuthFailure(response) {
+    return response.status === 401 || response.status === 403;
+  }
+
+  /**
+   * Make an authenticated request, recording the response if the session is
+   * being recorded, or answer it from the session being replayed
+   */
+  async _authorizedFetch(url, options = {}) {
+    if (this.replayer) {
+      return this.replayer.fetch(url, options);
+    }
+
+    const startedAt = Date.now();
+    const response = await this._fetchWithToken(url, options);
+
+    if (this.recorder) {
+      this.recorder.recordResponse(url, response.clone(), startedAt, Date.now() - startedAt);
+    }
+
+    return response;
+  }
+
+  /**
+   * Make a request with the bearer token, refreshing the token and retrying
+   * once if the API rejects it
    */
-  _storeCachedRange(symbol, width, start, end) {
+  async _fetchWithToken(url, options = {}) {
+    const headers = await this.getHeaders();
+    const response = await fetch(url, { ...options, headers });
+
+    if (!this._isAuthFailure(response)) {
+      return response;
+    }
+
+    console.warn(`🔑 Request rejected with ${response.status}, refreshing token and retrying`);
+
+    const rejectedToken = headers.Authorization.replace(/^Bearer /, "");
+    await this.authService.refreshToken(rejectedToken);
+
+    const retryHeaders = await this.getHeaders();
+    const retryResponse = await fetch(url, { ...options, headers: retryHeaders });
+
+    if (this._isAuthFailure(retryResponse)) {
+      throw new AuthError(
+        `API request unauthorized after token refresh: ${retryResponse.status} ${retryResponse.statusText}`,
+        retryResponse.status
+      );
+    }
+
+    return retryResponse;
+  }
+
+  /**
+   * Load persisted candles for a symbol and width into the memory cache once
+   */
+  _hydrateFromStore(symbol, width) {
+    if (!this.candleStore) return Promise.resolve();
+
     const key = `${symbol}:${width}`;
-    const ranges = this.cachedRanges.get(key) || [];
-    
-    // Add the new range
-    ranges.push({ start, end });
-    
-    // Merge overlapping ranges
-    if (ranges.length > 1) {
-      ranges.sort((a, b) => a.start - b.start);
-      
-      const mergedRanges = [ranges[0]];
-      
-      for (let i = 1; i < ranges.length; i++) {
-        const currentRange = ranges[i];
-        const lastMerged = mergedRanges[mergedRanges.length - 1];
-        
-        if (currentRange.start <= lastMerged.end) {
-          // Ranges overlap, extend the previous range
-          lastMerged.end = Math.max(lastMerged.end, currentRange.end);
-        } else {
-          // No overlap, add as new range
-          mergedRanges.push(currentRange);
-        }
-      }
-      
-      this.cachedRanges.set(key, mergedRanges);
-    } else {
-      this.cachedRanges.set(key, ranges);
+
+    if (!this.hydrations.has(key)) {
+      const hydration = this.candleStore
+        .load(symbol, width)
+        .then((stored) => {
+          if (!stored) return;
+
+          console.log(`🗄️ Restored ${stored.candles.length} stored candles for ${key}`);
+          stored.ranges.forEach((range) => {
+            this.candleCache.add(symbol, width, range.start, range.end, stored.candles);
+          });
+        })
+        .catch((error) => {
+          console.warn(`Could not read stored candles for ${key}:`, error);
+        });
+
+      this.hydrations.set(key, hydration);
     }
+
+    return this.hydrations.get(key);
   }
 
   /**
-   * Check if a range is already in cache
+   * Write all cached candles for a symbol and width to the persistent store.
+   * Called once per gap fill, not per chunk, as each save rewrites the series.
    */
-  _isRangeInCache(symbol, width, start, end) {
+  _persistCandles(symbol, width) {
+    if (!this.candleStore) return;
+
     const key = `${symbol}:${width}`;
-    const ranges = this.cachedRanges.get(key);
-    
-    if (!ranges || ranges.length === 0) return false;
-    
-    // Check if any cached range fully contains the requested range
-    return ranges.some(range => range.start <= start && range.end >= end);
+    const candles = this.candleCache.getCandles(symbol, width);
+    const ranges = this.candleCache.getRanges(symbol, width);
+
+    this.candleStore.save(symbol, width, candles, ranges).catch((error) => {
+      console.warn(`Could not store candles for ${key}:`, error);
+    });
+  }
+
+  /**
+   * Start a request that several callers can share. The request gets its own
+   * abort signal and is only cancelled once every caller has cancelled.
+   */
+  _createSharedRequest(run) {
+    const controller = new AbortController();
+    const entry = { controller, waiters: 0, promise: null };
+    entry.promise = run(controller.signal);
+    return entry;
+  }
+
+  /**
+   * Wait for a shared request, rejecting early if our own signal aborts
+   */
+  _joinSharedRequest(entry, signal) {
+    entry.waiters++;
+
+    // Callers that can't cancel keep the request alive
+    if (!signal) {
+      return entry.promise;
+    }
+
+    if (signal.aborted) {
+      this._leaveSharedRequest(entry);
+      return Promise.reject(createAbortError());
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this._leaveSharedRequest(entry);
+        reject(createAbortError());
+      };
+
+      signal.addEventListener("abort", onAbort, { once: true });
+
+      entry.promise.then(resolve, reject).finally(() => {
+        signal.removeEventListener("abort", onAbort);
+      });
+    });
+  }
+
+  /**
+   * Drop a waiter from a shared request, cancelling it if none are left
+   */
+  _leaveSharedRequest(entry) {
+    entry.waiters--;
+
+    if (entry.waiters === 0) {
+      entry.controller.abort();
+    }
   }
 
   /**
    * Fetch data with caching and request deduplication
    */
-  async fetchWithCache(endpoint, params, cacheKey) {
+  async fetchWithCache(endpoint, params, cacheKey, signal) {
+    if (signal && signal.aborted) {
+      throw createAbortError();
+    }
+
     // For candle requests, check if range is already in cache
     if (endpoint === '/candle' && params.symbol && params.width && 
         params.start && params.end) {
-      
-      if (this._isRangeInCache(params.symbol, params.width, params.start, params.end)) {
-        console.log(`💾 Range already in cache for: ${params.symbol}@${params.width}`);
-        // Find the cached data
-        const possibleCache = Array.from(this.cache.entries())
-          .filter(([key, _]) => key.startsWith(`candles:${params.symbol}:${params.width}:`))
-          .sort((a, b) => b[1].length - a[1].length) // Sort by data length (most data first)
-          .map(([_, value]) => value)[0];
-          
-        if (possibleCache) {
-          console.log(`🔍 Using existing cached data for range: ${new Date(params.start).toISOString()} - ${new Date(params.end).toISOString()}`);
-          return possibleCache;
-        }
+      await this._hydrateFromStore(params.symbol, params.width);
+
+      // Chunks come from _fetchMissingCandles, whose lookup already counted
+      if (this.candleCache.isCovered(params.symbol, params.width, params.start, params.end, false)) {
+        console.log(`💾 Range already in cache for: ${params.symbol}@${params.width}: ${new Date(params.start).toISOString()} - ${new Date(params.end).toISOString()}`);
+        return this.candleCache.slice(params.symbol, params.width, params.start, params.end);
       }
     }
 
-    // Check for in-flight requests with overlapping ranges
+    // Check for an identical in-flight request that is still wanted
     const requestKey = `${endpoint}:${JSON.stringify(params)}`;
-    
-    if (endpoint === '/candle' && params.symbol && params.width) {
-      // Look for an existing request that might satisfy this one
-      const pendingRequest = this._findOverlappingRequest(params);
-      if (pendingRequest) {
-        console.log(`⏳ Using existing in-flight request with overlapping range for: ${params.symbol}@${params.width}`);
-        return pendingRequest;
-      }
-    } else if (this.pendingRequests.has(requestKey)) {
-      // For non-candle requests, check for exact matches
+    const inFlight = this.pendingRequests.get(requestKey);
+
+    if (inFlight && !inFlight.controller.signal.aborted) {
       console.log(`⏳ Using in-flight request for: ${requestKey}`);
-      return this.pendingRequests.get(requestKey);
+      return this._joinSharedRequest(inFlight, signal);
     }
 
     // Build URL
@@ -134,12 +355,11 @@ export class ApiService {
     });
 
     // Make request
-    const requestPromise = (async () => {
+    const request = this._createSharedRequest(async (requestSignal) => {
       try {
-        const headers = await this.getHeaders();
-        const response = await fetch(url.toString(), {
+        const response = await this._authorizedFetch(url.toString(), {
           method: "GET",
-          headers,
+          signal: requestSignal,
         });
 
         if (!response.ok) {
@@ -150,99 +370,139 @@ export class ApiService {
 
         const data = await response.json();
 
-        // Cache result if not empty
-        if (data && (Array.isArray(data) ? data.length > 0 : true)) {
-          this.cache.set(cacheKey, data);
-
-          // For candle data, store range info
-          if (endpoint === '/candle' && params.symbol && params.width && 
-              params.start && params.end && Array.isArray(data) && data.length > 0) {
-            this._storeCachedRange(params.symbol, params.width, Number(params.start), Number(params.end));
-          }
+        if (endpoint === '/candle' && params.symbol && params.width && 
+            params.start && params.end && Array.isArray(data)) {
+          // For candle data, merge into the per symbol and width cache. Empty
+          // windows are remembered too once they are safely in the past, so
+          // weekends and holidays are not requested again.
+          const isClosedWindow = Number(params.end) < addBars(this.now(), params.width, -1);
 
-          // Limit cache size
-          if (this.cache.size > 100) {
-            const firstKey = this.cache.keys().next().value;
-            this.cache.delete(firstKey);
+          if (data.length > 0 || isClosedWindow) {
+            this.candleCache.add(params.symbol, params.width, Number(params.start), Number(params.end), data);
           }
+        } else if (data && (Array.isArray(data) ? data.length > 0 : true)) {
+          // Cache result if not empty
+          this.cache.set(cacheKey, data);
         }
 
         return data;
       } finally {
-        this.pendingRequests.delete(requestKey);
+        if (this.pendingRequests.get(requestKey) === request) {
+          this.pendingRequests.delete(requestKey);
+        }
       }
-    })();
+    });
 
-    // Store promise for deduplication
-    this.pendingRequests.set(requestKey, requestPromise);
+    // Store request for deduplication
+    this.pendingRequests.set(requestKey, request);
 
-    return requestPromise;
+    return this._joinSharedRequest(request, signal);
   }
 
   /**
-   * Find an existing pending request that covers the same data range
+   * Fetch one candle range, tracking it so overlapping requests can wait for it
    */
-  _findOverlappingRequest(params) {
-    const targetStart = params.start ? Number(params.start) : 0;
-    const targetEnd = params.end ? Number(params.end) : Date.now();
-    const targetSymbol = params.symbol;
-    const targetWidth = params.width;
+  _fetchCandleRange(symbol, width, start, end, signal) {
+    const key = `${symbol}:${width}`;
+    const params = { symbol, width, start, end, referer: this.config.referer };
+    const cacheKey = `candles:${symbol}:${width}:${start}:${end}`;
+
+    const pending = this._createSharedRequest((requestSignal) =>
+      this.requestLimiter(() =>
+        this.fetchWithCache("/candle", params, cacheKey, requestSignal)
+      ).finally(() => {
+        const ranges = this.pendingRanges.get(key) || [];
+        const remaining = ranges.filter((range) => range !== pending);
+
+        if (remaining.length > 0) {
+          this.pendingRanges.set(key, remaining);
+        } else {
+          this.pendingRanges.delete(key);
+        }
+      })
+    );
+    pending.start = start;
+    pending.end = end;
 
-    // Check all pending requests
-    for (const [key, promise] of this.pendingRequests.entries()) {
-      if (!key.startsWith('/candle:')) continue;
+    this.pendingRanges.set(key, [...(this.pendingRanges.get(key) || []), pending]);
 
-      try {
-        // Parse existing request params
-        const existingParams = JSON.parse(key.split(':', 2)[1]);
-        
-        // Only consider requests for the same symbol and width
-        if (existingParams.symbol !== targetSymbol || existingParams.width !== targetWidth) {
-          continue;
-        }
+    return this._joinSharedRequest(pending, signal);
+  }
 
-        const existingStart = existingParams.start ? Number(existingParams.start) : 0;
-        const existingEnd = existingParams.end ? Number(existingParams.end) : Date.now();
-        
-        // Ranges overlap if one contains the other or they partially overlap with significant coverage
-        const rangeContained = (existingStart <= targetStart && existingEnd >= targetEnd);
-        const rangesOverlap = (existingStart <= targetEnd && existingEnd >= targetStart);
-        
-        const overlapRatio = rangesOverlap ? 
-          (Math.min(targetEnd, existingEnd) - Math.max(targetStart, existingStart)) / 
-          (targetEnd - targetStart) : 0;
-        
-        // Use the request if it contains our range or has significant overlap (>70%)
-        if (rangeContained || overlapRatio > 0.7) {
-          console.log(`🔄 Found overlapping request for ${targetSymbol}@${targetWidth}`, {
-            existing: `${new Date(existingStart).toISOString()} - ${new Date(existingEnd).toISOString()}`,
-            requested: `${new Date(targetStart).toISOString()} - ${new Date(targetEnd).toISOString()}`,
-            overlapRatio: overlapRatio.toFixed(2)
-          });
-          return promise;
-        }
-      } catch (error) {
-        // Skip if we can't parse the key
-        console.error(`Error parsing key ${key}:`, error);
-        continue;
+  /**
+   * Fetch only the parts of [start, end] that are neither cached nor already
+   * being fetched, then answer from the cache. Long gaps are split into
+   * chunks the server can answer in one request.
+   */
+  async _fetchMissingCandles(symbol, width, start, end, onProgress, signal) {
+    await this._hydrateFromStore(symbol, width);
+
+    const gaps = this.candleCache.getMissingRanges(symbol, width, start, end);
+
+    if (gaps.length === 0) {
+      console.log(`💾 Range already in cache for: ${symbol}@${width}`);
+      return this.candleCache.slice(symbol, width, start, end);
+    }
+
+    // Wait for in-flight requests that overlap a gap instead of repeating them
+    const pending = (this.pendingRanges.get(`${symbol}:${width}`) || []).filter(
+      (range) => !range.controller.signal.aborted
+    );
+    const waits = pending
+      .filter((range) => gaps.some((gap) => range.start < gap.end && range.end > gap.start))
+      .map((range) => this._joinSharedRequest(range, signal));
+
+    const toFetch = gaps
+      .flatMap((gap) => subtractRanges(gap.start, gap.end, pending))
+      .flatMap((gap) => splitRange(gap.start, gap.end, width));
+
+    if (toFetch.length > 0) {
+      console.log(`🧩 Fetching ${toFetch.length} missing chunk(s) for ${symbol}@${width}`, 
+        toFetch.map((chunk) => `${new Date(chunk.start).toISOString()} - ${new Date(chunk.end).toISOString()}`));
+    }
+
+    let completed = 0;
+    const reportProgress = () => {
+      completed++;
+      if (onProgress) {
+        onProgress({ completed, total: toFetch.length });
+      }
+    };
+
+    try {
+      await Promise.all([
+        ...waits,
+        ...toFetch.map((chunk) =>
+          this._fetchCandleRange(symbol, width, chunk.start, chunk.end, signal).then(reportProgress)
+        ),
+      ]);
+    } finally {
+      // Keep whatever chunks arrived, even if others failed
+      if (completed > 0) {
+        this._persistCandles(symbol, width);
       }
     }
 
-    return null;
+    return this.candleCache.slice(symbol, width, start, end);
   }
 
   /**
-   * Fetch historical candle data
+   * Fetch historical candle data. Widths the API does not serve are
+   * aggregated from the nearest native width.
    */
   async fetchCandles(symbol, width, options = {}) {
-    const { start, end } = options;
+    if (!isNativeWidth(width) && getBaseWidth(width)) {
+      return this._fetchAggregatedCandles(symbol, width, options);
+    }
+
+    const { start, end, onProgress, signal } = options;
 
     // Ensure timestamps are integers
     const formattedStart = start ? Math.floor(start) : undefined;
     const formattedEnd = end ? Math.floor(end) : undefined;
 
     // If start is in future, don't bother with request
-    if (formattedStart && formattedStart > Date.now()) {
+    if (formattedStart && formattedStart > this.now()) {
       console.log(`⚠️ Start time ${new Date(formattedStart).toISOString()} is in the future. No request made.`);
       return [];
     }
@@ -260,26 +520,64 @@ export class ApiService {
       end: formattedEnd ? new Date(formattedEnd).toISOString() : "undefined",
     });
 
+    // Bounded ranges are stitched together from cache and gap requests
+    if (formattedStart && formattedEnd) {
+      return this._fetchMissingCandles(symbol, width, formattedStart, formattedEnd, onProgress, signal);
+    }
+
     const cacheKey = `candles:${symbol}:${width}:${formattedStart || "start"}:${formattedEnd || "end"}`;
 
-    return this.fetchWithCache("/candle", params, cacheKey);
+    return this.fetchWithCache("/candle", params, cacheKey, signal);
+  }
+
+  /**
+   * Fetch a custom width by aggregating its native width. The range is
+   * widened to whole bars, so the first and last are not cut short, and
+   * capped at one request of native bars counted back from the end.
+   */
+  async _fetchAggregatedCandles(symbol, width, options) {
+    const baseWidth = getBaseWidth(width);
+    const { start, end } = options;
+
+    let baseStart = start ? floorToBar(start, width) : start;
+    const baseEnd = end
+      ? Math.max(end, Math.min(addBars(floorToBar(end, width), width, 1) - 1, this.now()))
+      : end;
+
+    if (baseStart && baseEnd) {
+      const earliest = addBars(baseEnd, baseWidth, -getMaxBarsPerRequest(baseWidth));
+      if (baseStart < earliest) {
+        baseStart = addBars(floorToBar(earliest, width), width, 1);
+      }
+    }
+
+    console.log(`🧮 Aggregating ${symbol}@${width} from ${baseWidth}`);
+
+    const candles = await this.fetchCandles(symbol, baseWidth, {
+      ...options,
+      start: baseStart,
+      end: baseEnd,
+    });
+
+    return aggregateCandles(candles, width);
   }
 
   /**
    * Fetch instrument details
    */
-  async fetchInstrument(symbol) {
+  async fetchInstrument(symbol, options = {}) {
+    const { signal } = options;
     const cacheKey = `instrument:${symbol}`;
 
-    if (this.cache.has(cacheKey)) {
-      return this.cache.get(cacheKey);
+    const cached = this.cache.get(cacheKey);
+    if (cached) {
+      return cached;
     }
 
     try {
-      const headers = await this.getHeaders();
-      const response = await fetch(`${this.apiBaseUrl}/instrument/${symbol}`, {
+      const response = await this._authorizedFetch(`${this.apiBaseUrl}/instrument/${symbol}`, {
         method: "GET",
-        headers,
+        signal,
       });
 
       if (!response.ok) {
@@ -288,175 +586,726 @@ export class ApiService {
 
       const data = await response.json();
       this.cache.set(cacheKey, data);
+      this._getSessionCalendar(symbol);
 
       return data;
     } catch (error) {
-      console.error(`Error fetching instrument data for ${symbol}:`, error);
+      if (!isAbortError(error)) {
+        console.error(`Error fetching instrument data for ${symbol}:`, error);
+      }
       throw error;
     }
   }
 
   /**
-   * Initialize WebSocket connection
+   * Get hit, miss, eviction and size counters for the shared cache
    */
-  async connectWebSocket() {
+  getCacheStats() {
+    return {
+      ...this.cache.getStats(),
+      unit: this.config.cacheBudgetUnit === "bytes" ? "bytes" : "candles",
+    };
+  }
+
+  /**
+   * Open the realtime feed, trying transports in order until one connects
+   */
+  connect() {
     // Return existing connection if available
-    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      return this.ws;
+    if (this.transport && this.transport.isOpen()) {
+      return Promise.resolve(this.transport);
     }
 
     // Prevent multiple simultaneous connection attempts
-    if (this.wsConnecting) {
-      return new Promise((resolve, reject) => {
-        const checkInterval = setInterval(() => {
-          if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-            clearInterval(checkInterval);
-            resolve(this.ws);
-          } else if (!this.wsConnecting) {
-            clearInterval(checkInterval);
-            reject(new Error("WebSocket connection failed"));
-          }
-        }, 100);
+    if (this.connecting) {
+      return this.connecting;
+    }
+
+    this._setConnectionState(ConnectionState.CONNECTING);
+
+    this.connecting = this._openTransport()
+      .catch((error) => {
+        this._handleConnectionLost();
+        throw error;
+      })
+      .finally(() => {
+        this.connecting = null;
       });
+
+    return this.connecting;
+  }
+
+  /**
+   * Connect the first transport that works. A transport that has been open
+   * before is retried rather than skipped, so a brief outage doesn't demote
+   * the feed to a slower transport for good.
+   */
+  async _openTransport() {
+    const keys = Array.from(this.subscriptions.keys());
+    let lastError = null;
+
+    for (let i = this.transportIndex; i < this.transportNames.length; i++) {
+      const name = this.transportNames[i];
+      const transport = createTransport(name, this.transportOptions, {
+        onMessage: (data) => this.handleRealtimeMessage(data),
+        onActivity: () => this._handleActivity(),
+        onClose: (reason) => this._handleTransportClosed(transport, reason),
+      });
+
+      if (!transport) continue;
+
+      try {
+        await transport.connect(keys);
+      } catch (error) {
+        transport.close();
+        lastError = error;
+
+        if (this.openedTransports.has(name)) break;
+
+        console.warn(`⚠️ ${name} transport unavailable: ${error.message}`);
+        continue;
+      }
+
+      this.transportIndex = i;
+      this.openedTransports.add(name);
+      this.transport = transport;
+      this._handleOpen(keys);
+
+      return transport;
     }
 
-    this.wsConnecting = true;
+    throw lastError || new Error("No realtime transport available");
+  }
 
-    try {
-      // Build WebSocket URL with subscriptions and referer
-      const subscriptions = Array.from(this.subscriptions.keys());
-      const queryParams = new URLSearchParams();
+  /**
+   * Start watching a freshly opened transport and resume subscriptions
+   */
+  _handleOpen(keys) {
+    this.reconnectPolicy.reset();
 
-      if (subscriptions.length > 0) {
-        queryParams.append("symbols", subscriptions.join(","));
+    this.lastMessageAt = this.now();
+    this._startHeartbeatWatchdog();
+
+    // Candles may have closed while we were away. Hold live updates
+    // for each subscription until the gap has been filled over REST.
+    const isReconnect = this.hasConnected;
+    this.hasConnected = true;
+
+    this._setConnectionState(ConnectionState.OPEN);
+
+    this.transportKeys = new Set(keys);
+    keys.forEach((key) => this._markSubscribed(key));
+
+    if (isReconnect) {
+      this.subscriptions.forEach((_, key) => this._queueBackfill(key));
+    }
+  }
+
+  /**
+   * Any traffic proves the connection is alive
+   */
+  _handleActivity() {
+    this.lastMessageAt = this.now();
+
+    if (this.probeSentAt !== null) {
+      this.probeSentAt = null;
+      this._updateOpenState();
+    }
+  }
+
+  /**
+   * Handle an open transport dropping
+   */
+  _handleTransportClosed(transport, reason) {
+    if (transport !== this.transport) return;
+
+    console.log(`⚠️ ${reason}`);
+    this.transport = null;
+
+    this._handleConnectionLost();
+  }
+
+  /**
+   * Fetch the latest candles straight from the API, bypassing the cache, for
+   * the polling transport
+   */
+  async _fetchLatestCandles(symbol, width, start, end) {
+    const url = new URL(`${this.apiBaseUrl}/candle`);
+    const params = { symbol, width, start, end, referer: this.config.referer };
+
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        url.searchParams.append(key, value.toString());
       }
+    });
+
+    const response = await this._authorizedFetch(url.toString(), { method: "GET" });
+
+    if (!response.ok) {
+      throw new Error(
+        `API request failed: ${response.status} ${response.statusText}`
+      );
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Stop the heartbeat, mark every feed stale and schedule a reconnect
+   */
+  _handleConnectionLost() {
+    this._stopHeartbeatWatchdog();
+    this.subscriptions.forEach((_, key) => this._setStale(key, true));
+
+    this.reconnectPolicy.schedule();
+  }
+
+  /**
+   * Report a lost connection as reconnecting, or dead while no retry can
+   * succeed (paused in a hidden tab, or the browser is offline)
+   */
+  _reportConnectionLost() {
+    const { paused } = this.reconnectPolicy.getStatus();
+    const offline = typeof navigator !== "undefined" && navigator.onLine === false;
+
+    this._setConnectionState(
+      paused || offline ? ConnectionState.DEAD : ConnectionState.RECONNECTING
+    );
+  }
+
+  /**
+   * Emit a connection state change. Reconnecting is emitted on every attempt
+   * so listeners see the new retry time.
+   */
+  _setConnectionState(state) {
+    if (state === this.connectionState && state !== ConnectionState.RECONNECTING) return;
+
+    this.connectionState = state;
+    console.log(`🔌 Live feed ${state}`);
+
+    if (this.recorder) {
+      this.recorder.recordEvent("connection", { state });
+    }
+
+    this.events.emit(ApiEvent.CONNECTION, {
+      state,
+      transport: this.transport ? this.transport.name : null,
+      ...this.reconnectPolicy.getStatus(),
+    });
+  }
 
-      // Add referer parameter if available
-      if (this.config.referer) {
-        queryParams.append("referer", this.config.referer);
+  /**
+   * While connected, report stale if the socket is being probed or any
+   * subscription has gone quiet, and open otherwise
+   */
+  _updateOpenState() {
+    if (!this.transport || !this.transport.isOpen()) return;
+
+    const stale = this.probeSentAt !== null || this.staleKeys.size > 0;
+    this._setConnectionState(stale ? ConnectionState.STALE : ConnectionState.OPEN);
+  }
+
+  /**
+   * Save the recorded session as a JSON file
+   */
+  downloadRecording() {
+    if (!this.recorder) {
+      throw new Error("Session recording is not enabled");
+    }
+
+    this.recorder.download();
+  }
+
+  /**
+   * Get the current connection state
+   */
+  getConnectionState() {
+    return this.connectionState;
+  }
+
+  /**
+   * Listen for an ApiEvent. Returns an unsubscribe function.
+   */
+  on(type, listener) {
+    return this.events.on(type, listener);
+  }
+
+  /**
+   * Record that a subscription was sent and wait for its first update
+   */
+  _markSubscribed(key) {
+    const [symbol, width] = key.split("@");
+    this.pendingAcks.add(key);
+    this.events.emit(ApiEvent.SUBSCRIPTION, {
+      action: SubscriptionAction.SUBSCRIBED,
+      symbol,
+      width,
+    });
+  }
+
+  /**
+   * Attempt a reconnect scheduled by the reconnect policy
+   */
+  _reconnect() {
+    this.connect().catch((err) => {
+      console.error("❌ Realtime reconnection failed:", err);
+    });
+  }
+
+  /**
+   * Get the reconnect attempt count and when the next retry happens
+   */
+  getReconnectStatus() {
+    return this.reconnectPolicy.getStatus();
+  }
+
+  /**
+   * Drop a transport that stopped answering and reconnect
+   */
+  _forceReconnect(reason) {
+    console.warn(`💔 ${reason}, forcing reconnect`);
+
+    if (this.transport) {
+      this.transport.close(reason);
+      this.transport = null;
+    }
+
+    this._handleConnectionLost();
+  }
+
+  /**
+   * Start checking for a silent connection and stale subscriptions
+   */
+  _startHeartbeatWatchdog() {
+    this._stopHeartbeatWatchdog();
+    this.probeSentAt = null;
+    this.heartbeatTimer = setInterval(() => this._checkHeartbeat(), 1000);
+  }
+
+  /**
+   * Stop the heartbeat watchdog
+   */
+  _stopHeartbeatWatchdog() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+    this.probeSentAt = null;
+  }
+
+  /**
+   * Probe a quiet connection, and reconnect if the probe goes unanswered
+   */
+  _checkHeartbeat() {
+    if (!this.transport || !this.transport.isOpen()) return;
+
+    const now = this.now();
+
+    if (this.probeSentAt !== null) {
+      if (now - this.probeSentAt > this.probeTimeout) {
+        this._forceReconnect(`No answer to heartbeat probe within ${this.probeTimeout}ms`);
+        return;
+      }
+    } else if (now - this.lastMessageAt > this.heartbeatTimeout) {
+      // Transports that can't be probed are reconnected right away
+      if (!this.transport.probe()) {
+        this._forceReconnect(`No messages for ${now - this.lastMessageAt}ms`);
+        return;
       }
 
-      const wsUrlWithParams = `${this.wsBaseUrl}/candle${
-        queryParams.toString() ? `?${queryParams.toString()}` : ""
-      }`;
-      console.log(`🔌 Connecting to WebSocket: ${wsUrlWithParams}`);
+      console.log(`💓 No messages for ${now - this.lastMessageAt}ms, probing connection`);
+      this.probeSentAt = now;
+      this._updateOpenState();
+    }
 
-      return new Promise((resolve, reject) => {
-        try {
-          this.ws = new WebSocket(wsUrlWithParams);
+    // Flag subscriptions that have gone quiet for longer than their width allows
+    this.subscriptions.forEach((_, key) => {
+      const [symbol, width] = key.split("@");
+
+      // A closed market sends nothing, so its silence is expected. Measure
+      // from now again so the open isn't counted against it.
+      const calendar = this._getSessionCalendar(symbol);
+      if (calendar && !calendar.isOpen(now)) {
+        this.lastUpdateAt.set(key, now);
+        this._setStale(key, false);
+        return;
+      }
 
-          // Set up connection handler
-          this.ws.onopen = () => {
-            console.log("✅ WebSocket connection opened");
+      const threshold = this.staleThresholds[width] || this.staleThresholds.default;
+      const lastUpdate = this.lastUpdateAt.get(key) || now;
 
-            this.reconnectAttempts = 0;
-            this.wsConnecting = false;
+      this._setStale(key, now - lastUpdate > threshold);
+    });
+  }
 
-            // Re-subscribe to all active subscriptions
-            subscriptions.forEach((sub) => {
-              this.ws.send(sub);
-            });
+  /**
+   * Get the session calendar of a symbol, rebuilt when its cached instrument
+   * changes. Calendars are kept apart from the LRU cache, so one outlives its
+   * evicted instrument entry.
+   */
+  _getSessionCalendar(symbol) {
+    const instrument = this.cache.peek(`instrument:${symbol}`);
+    const known = this.sessionCalendars.get(symbol);
 
-            resolve(this.ws);
-          };
+    if (!instrument || (known && known.instrument === instrument)) {
+      return known ? known.calendar : null;
+    }
 
-          this.ws.onmessage = (event) => {
-            // Handle ping messages
-            if (event.data === "ping") {
-              this.ws.send("pong");
-              console.log("📡 Received ping, sent pong");
-              return;
-            }
+    const calendar = SessionCalendar.fromInstrument(instrument);
+    this.sessionCalendars.set(symbol, { instrument, calendar });
+    return calendar;
+  }
 
-            try {
-              const data = JSON.parse(event.data);
-              console.log("📡 WebSocket message received:", data);
-              this.handleWebSocketMessage(data);
-            } catch (error) {
-              console.error("❌ Error processing WebSocket message:", error);
-            }
-          };
-
-          this.ws.onerror = (error) => {
-            console.error("❌ WebSocket error:", error);
-            this.wsConnecting = false;
-            reject(error);
-          };
-
-          this.ws.onclose = (event) => {
-            console.log(`⚠️ WebSocket closed: ${event.code} - ${event.reason}`);
-            this.ws = null;
-            this.wsConnecting = false;
-
-            // Attempt reconnection
-            if (this.reconnectAttempts < this.maxReconnectAttempts) {
-              this.reconnectAttempts++;
-              const delay = Math.min(1000 * Math.pow(2, this.reconnectAttempts), 30000);
-
-              console.log(`🔄 Will attempt to reconnect in ${delay}ms`);
-              setTimeout(() => {
-                this.connectWebSocket().catch((err) => {
-                  console.error("❌ WebSocket reconnection failed:", err);
-                });
-              }, delay);
-            }
-          };
-        } catch (error) {
-          this.wsConnecting = false;
-          reject(error);
-        }
-      });
-    } catch (error) {
-      this.wsConnecting = false;
-      throw error;
+  /**
+   * Update a subscription's stale flag and notify listeners on change
+   */
+  _setStale(key, stale) {
+    if (stale === this.staleKeys.has(key)) return;
+
+    if (stale) {
+      this.staleKeys.add(key);
+      console.warn(`🧊 Feed for ${key} is stale`);
+    } else {
+      this.staleKeys.delete(key);
+      console.log(`🔥 Feed for ${key} is live again`);
     }
+
+    const [symbol, width] = key.split("@");
+    this.events.emit(ApiEvent.STALE, { symbol, width, stale });
+
+    this._updateOpenState();
+  }
+
+  /**
+   * Check if a subscription's price is not live
+   */
+  isStale(symbol, width) {
+    return this.staleKeys.has(`${symbol}@${getBaseWidth(width) || width}`);
+  }
+
+  /**
+   * Get the live feed status for the UI
+   */
+  getFeedStatus() {
+    return {
+      connected: !!this.transport && this.transport.isOpen(),
+      transport: this.transport ? this.transport.name : null,
+      lastMessageAt: this.lastMessageAt,
+      staleSubscriptions: Array.from(this.staleKeys),
+    };
   }
 
   /**
-   * Handle data received from WebSocket
+   * Listen for subscriptions going stale or live. Returns an unsubscribe function.
    */
-  handleWebSocketMessage(data) {
+  onStaleChange(listener) {
+    return this.on(ApiEvent.STALE, listener);
+  }
+
+  /**
+   * Handle a candle update received from the realtime transport
+   */
+  handleRealtimeMessage(data) {
     if (!data || !data.symbol || !data.width) return;
 
+    if (this.recorder) {
+      this.recorder.recordMessage(data);
+    }
+
     const key = `${data.symbol}@${data.width}`;
 
-    if (this.subscriptions.has(key)) {
+    this.lastUpdateAt.set(key, this.now());
+    this._setStale(key, false);
+
+    // The first update after subscribing acknowledges the subscription
+    if (this.pendingAcks.delete(key)) {
+      this.events.emit(ApiEvent.SUBSCRIPTION, {
+        action: SubscriptionAction.ACKNOWLEDGED,
+        symbol: data.symbol,
+        width: data.width,
+      });
+    }
+
+    // Live updates wait until a running backfill has been delivered
+    const buffer = this.backfillBuffers.get(key);
+    if (buffer) {
+      buffer.push(data);
+      return;
+    }
+
+    this._dispatchCandle(key, data);
+  }
+
+  /**
+   * Queue a live candle for the subscribers of a key
+   */
+  _dispatchCandle(key, data) {
+    if (typeof data.timestamp === "number") {
+      this.lastCandleAt.set(key, Math.max(this.lastCandleAt.get(key) || 0, data.timestamp));
+    }
+
+    if (!this.subscriptions.has(key)) return;
+
+    // Keep only the latest update per bar until the next flush
+    if (!this.pendingUpdates.has(key)) {
+      this.pendingUpdates.set(key, new Map());
+    }
+    this.pendingUpdates.get(key).set(data.timestamp, data);
+
+    this._scheduleFlush();
+  }
+
+  /**
+   * Flush coalesced updates on the next animation frame, or after the
+   * configured interval
+   */
+  _scheduleFlush() {
+    if (this.flushTimer !== null || this.flushFrame !== null) return;
+
+    if (this.flushInterval > 0 || typeof requestAnimationFrame === "undefined") {
+      this.flushTimer = setTimeout(() => this._flushUpdates(), this.flushInterval);
+    } else {
+      this.flushFrame = requestAnimationFrame(() => this._flushUpdates());
+    }
+  }
+
+  /**
+   * Cancel a scheduled flush
+   */
+  _cancelFlush() {
+    if (this.flushTimer !== null) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    if (this.flushFrame !== null) {
+      cancelAnimationFrame(this.flushFrame);
+      this.flushFrame = null;
+    }
+  }
+
+  /**
+   * Hand the coalesced updates to subscribers
+   */
+  _flushUpdates() {
+    this.flushTimer = null;
+    this.flushFrame = null;
+
+    const updates = this.pendingUpdates;
+    this.pendingUpdates = new Map();
+
+    updates.forEach((candles, key) => {
       const callbacks = this.subscriptions.get(key);
-      callbacks.forEach((callback) => {
+      if (!callbacks) return;
+
+      // Oldest first, so a bar that closed since the last flush gets its
+      // final values before the next bar opens
+      const ordered = Array.from(candles.values()).sort((a, b) => a.timestamp - b.timestamp);
+
+      ordered.forEach((data) => {
+        callbacks.forEach((callback) => {
+          try {
+            callback(data);
+          } catch (error) {
+            console.error(`❌ Error in realtime callback for ${key}:`, error);
+          }
+        });
+      });
+    });
+  }
+
+  /**
+   * Backfill a subscription after a reconnect, then release the live updates
+   * buffered meanwhile. Backfills for the same key run one after another so a
+   * second drop during a backfill is filled too.
+   */
+  _queueBackfill(key) {
+    if (!this.backfillBuffers.has(key)) {
+      this.backfillBuffers.set(key, []);
+    }
+
+    const previous = this.backfills.get(key) || Promise.resolve();
+    const run = previous
+      .then(() => this._backfillGap(key))
+      .finally(() => {
+        // A newer backfill for this key releases the buffer when it is done
+        if (this.backfills.get(key) !== run) return;
+
+        const buffered = this.backfillBuffers.get(key) || [];
+        this.backfills.delete(key);
+        this.backfillBuffers.delete(key);
+
+        buffered.forEach((data) => this._dispatchCandle(key, data));
+      });
+
+    this.backfills.set(key, run);
+    return run;
+  }
+
+  /**
+   * Fetch the candles between the last one received and now, and hand them
+   * to the subscription's backfill handlers
+   */
+  async _backfillGap(key) {
+    const [symbol, width] = key.split("@");
+    const since = this.lastCandleAt.get(key);
+    const handlers = this.backfillHandlers.get(key);
+
+    // Nothing received yet, so there is no gap to measure from
+    if (!since || !handlers || handlers.size === 0) return;
+
+    const end = this.now();
+
+    try {
+      // The last candle received is fetched again, it may have closed since
+      await Promise.all(
+        splitRange(since, end, width).map((chunk) =>
+          this._fetchCandleRange(symbol, width, chunk.start, chunk.end)
+        )
+      );
+
+      const candles = this.candleCache.slice(symbol, width, since, end);
+      console.log(`🩹 Backfilled ${candles.length} candle(s) for ${key} since ${new Date(since).toISOString()}`);
+
+      if (candles.length > 0) {
+        this.lastCandleAt.set(key, Math.max(since, candles[candles.length - 1].timestamp));
+      }
+
+      handlers.forEach((handler) => {
         try {
-          callback(data);
+          handler(candles);
         } catch (error) {
-          console.error(`❌ Error in WebSocket callback for ${key}:`, error);
+          console.error(`❌ Error in backfill handler for ${key}:`, error);
         }
       });
+    } catch (error) {
+      console.error(`❌ Backfill failed for ${key}:`, error);
     }
   }
 
   /**
-   * Subscribe to real-time candle updates
+   * Subscribe to real-time candle updates. After a reconnect, options.onBackfill
+   * receives the candles missed while disconnected, measured from the last
+   * candle received or options.lastTimestamp.
    */
-  async subscribeToCandles(symbol, width, callback) {
+  async subscribeToCandles(symbol, width, callback, options = {}) {
+    if (!isNativeWidth(width) && getBaseWidth(width)) {
+      return this._subscribeToAggregatedCandles(symbol, width, callback, options);
+    }
+
     const key = `${symbol}@${width}`;
+    const { onBackfill, lastTimestamp } = options;
 
     // Initialize callback set if needed
     if (!this.subscriptions.has(key)) {
       this.subscriptions.set(key, new Set());
+      this.backfillHandlers.set(key, new Map());
     }
 
     // Add callback to the set
     this.subscriptions.get(key).add(callback);
 
-    // Ensure WebSocket is connected
-    try {
-      const ws = await this.connectWebSocket();
+    if (onBackfill) {
+      this.backfillHandlers.get(key).set(callback, onBackfill);
+    }
+
+    if (lastTimestamp) {
+      this.lastCandleAt.set(key, Math.max(this.lastCandleAt.get(key) || 0, lastTimestamp));
+    }
 
-      // Send subscription message
-      if (ws.readyState === WebSocket.OPEN) {
-        ws.send(key);
+    // Staleness is measured from the moment we subscribe
+    if (!this.lastUpdateAt.has(key)) {
+      this.lastUpdateAt.set(key, this.now());
+    }
+
+    // Ensure the realtime feed is connected
+    try {
+      const transport = await this.connect();
+
+      // Send subscription message, unless the transport was just opened
+      // with this key or already has it from an earlier callback
+      if (transport.isOpen() && !this.transportKeys.has(key)) {
+        this.transportKeys.add(key);
+        transport.subscribe(key);
+        this._markSubscribed(key);
         console.log(`📡 Subscribed to ${key}`);
       }
     } catch (error) {
-      console.error("❌ Failed to subscribe to WebSocket:", error);
+      console.error("❌ Failed to subscribe to realtime feed:", error);
+    }
+  }
+
+  /**
+   * Subscribe to a custom width through its native width. The forming bar
+   * starts from the native candles already cached and is updated by each
+   * live native candle.
+   */
+  async _subscribeToAggregatedCandles(symbol, width, callback, options = {}) {
+    const key = `${symbol}@${width}`;
+    const baseWidth = getBaseWidth(width);
+    const { onBackfill, lastTimestamp } = options;
+
+    const aggregator = new CandleAggregator(width);
+    const now = this.now();
+    aggregator.seed(this.candleCache.slice(symbol, baseWidth, floorToBar(now, width), now));
+
+    const baseCallback = (candle) => {
+      const aggregated = aggregator.update(candle);
+      if (aggregated) {
+        callback(aggregated);
+      }
+    };
+
+    // Backfilled native candles update the aggregator too, and the wider
+    // candles they touched are handed on
+    const baseBackfill = onBackfill
+      ? (candles) => {
+          const touched = new Map();
+          candles.forEach((candle) => {
+            const aggregated = aggregator.update(candle);
+            if (aggregated) {
+              touched.set(aggregated.timestamp, aggregated);
+            }
+          });
+          onBackfill(Array.from(touched.values()));
+        }
+      : undefined;
+
+    if (!this.aggregatedSubscriptions.has(key)) {
+      this.aggregatedSubscriptions.set(key, new Map());
+    }
+    this.aggregatedSubscriptions.get(key).set(callback, baseCallback);
+
+    console.log(`🧮 Building live ${key} from ${symbol}@${baseWidth}`);
+
+    return this.subscribeToCandles(symbol, baseWidth, baseCallback, {
+      onBackfill: baseBackfill,
+      lastTimestamp,
+    });
+  }
+
+  /**
+   * Unsubscribe custom width callbacks from their native width
+   */
+  async _unsubscribeFromAggregatedCandles(symbol, width, callback) {
+    const key = `${symbol}@${width}`;
+    const baseCallbacks = this.aggregatedSubscriptions.get(key);
+    if (!baseCallbacks) return;
+
+    const removed = callback
+      ? [baseCallbacks.get(callback)].filter(Boolean)
+      : Array.from(baseCallbacks.values());
+
+    if (callback) {
+      baseCallbacks.delete(callback);
+    } else {
+      baseCallbacks.clear();
+    }
+    if (baseCallbacks.size === 0) {
+      this.aggregatedSubscriptions.delete(key);
+    }
+
+    for (const baseCallback of removed) {
+      await this.unsubscribeFromCandles(symbol, getBaseWidth(width), baseCallback);
     }
   }
 
@@ -464,6 +1313,10 @@ export class ApiService {
    * Unsubscribe from real-time candle updates
    */
   async unsubscribeFromCandles(symbol, width, callback) {
+    if (!isNativeWidth(width) && getBaseWidth(width)) {
+      return this._unsubscribeFromAggregatedCandles(symbol, width, callback);
+    }
+
     const key = `${symbol}@${width}`;
 
     if (!this.subscriptions.has(key)) return;
@@ -472,6 +1325,7 @@ export class ApiService {
       // Remove specific callback
       const callbacks = this.subscriptions.get(key);
       callbacks.delete(callback);
+      this.backfillHandlers.get(key).delete(callback);
 
       // If callbacks remain, don't unsubscribe
       if (callbacks.size > 0) return;
@@ -479,27 +1333,61 @@ export class ApiService {
 
     // Remove all callbacks for this key
     this.subscriptions.delete(key);
+    this.lastUpdateAt.delete(key);
+    this.staleKeys.delete(key);
+    this.backfillHandlers.delete(key);
+    this.lastCandleAt.delete(key);
+    this.pendingAcks.delete(key);
+    this.pendingUpdates.delete(key);
 
     // Send unsubscribe message if connected
-    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      this.ws.send(`-${key}`);
+    this.transportKeys.delete(key);
+    if (this.transport && this.transport.isOpen()) {
+      this.transport.unsubscribe(key);
       console.log(`📡 Unsubscribed from ${key}`);
     }
+
+    this.events.emit(ApiEvent.SUBSCRIPTION, {
+      action: SubscriptionAction.UNSUBSCRIBED,
+      symbol,
+      width,
+    });
+    this._updateOpenState();
   }
 
   /**
    * Clean up resources
    */
   cleanup() {
-    if (this.ws) {
-      this.ws.close();
-      this.ws = null;
+    this._stopHeartbeatWatchdog();
+    this.reconnectPolicy.stop();
+    this._cancelFlush();
+    this._setConnectionState(ConnectionState.DEAD);
+    this.events.clear();
+
+    if (this.transport) {
+      // Closing on purpose, transports don't report their own close()
+      this.transport.close();
+      this.transport = null;
     }
 
     this.subscriptions.clear();
+    this.transportKeys.clear();
+    this.aggregatedSubscriptions.clear();
     this.pendingRequests.clear();
+    this.pendingRanges.clear();
     this.cache.clear();
-    this.cachedRanges.clear();
+    this.candleCache.clear();
+    this.hydrations.clear();
+    this.lastUpdateAt.clear();
+    this.sessionCalendars.clear();
+    this.staleKeys.clear();
+    this.pendingAcks.clear();
+    this.pendingUpdates.clear();
+    this.backfillHandlers.clear();
+    this.backfillBuffers.clear();
+    this.backfills.clear();
+    this.lastCandleAt.clear();
   }
 }
 
@@ -0,0 +1,235 @@
+import { AuthError } from "./auth";
+
+/**
+ * Authentication strategies
+ *
+ * Each strategy knows how to obtain a bearer token and resolves
+ * requestToken() to { token, expiresIn } with expiresIn in seconds.
+ * AuthService handles caching, refresh timing and tab sharing on top.
+ */
+
+/**
+ * Read a token endpoint response, failing on non-OK status
+ */
+async function readTokenResponse(response) {
+  if (!response.ok) {
+    throw new Error(
+      `Token request failed: ${response.status} ${response.statusText}`
+    );
+  }
+
+  return response.json();
+}
+
+/**
+ * Encode bytes as unpadded base64url
+ */
+function base64UrlEncode(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+/**
+ * OAuth client_credentials grant, performed by the token broker so the
+ * client secret stays on the server
+ */
+export class ClientCredentialsStrategy {
+  constructor(config) {
+    this.name = "client_credentials";
+    this.shareAcrossTabs = true;
+    this.tokenBrokerUrl = config.tokenBrokerUrl;
+  }
+
+  async requestToken() {
+    const response = await fetch(this.tokenBrokerUrl, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+    });
+
+    const data = await readTokenResponse(response);
+    return { token: data.access_token, expiresIn: data.expires_in };
+  }
+}
+
+/**
+ * Fixed bearer token, for local testing
+ */
+export class StaticTokenStrategy {
+  constructor(config) {
+    this.name = "static";
+    this.shareAcrossTabs = false;
+    this.token = config.staticToken;
+    this.expiresIn = 24 * 60 * 60; // Never really expires, re-read once a day
+  }
+
+  async requestToken() {
+    return { token: this.token, expiresIn: this.expiresIn };
+  }
+}
+
+/**
+ * Token supplied by the host application, e.g. its own session token.
+ * The callback may return a token string or { token, expiresIn }.
+ */
+export class CallbackTokenStrategy {
+  constructor(config) {
+    this.name = "callback";
+    this.shareAcrossTabs = false;
+    this.tokenProvider = config.tokenProvider;
+    this.defaultExpiresIn = 5 * 60; // Ask the host again every 5 minutes
+  }
+
+  async requestToken() {
+    const result = await this.tokenProvider();
+
+    if (typeof result === "string") {
+      return { token: result, expiresIn: this.defaultExpiresIn };
+    }
+
+    if (!result || !result.token) {
+      throw new AuthError("Token provider did not return a token");
+    }
+
+    return {
+      token: result.token,
+      expiresIn: result.expiresIn || this.defaultExpiresIn,
+    };
+  }
+}
+
+/**
+ * OAuth authorization code grant with PKCE, for end-user logins
+ */
+export class PkceStrategy {
+  constructor(config) {
+    this.name = "pkce";
+    this.shareAcrossTabs = false;
+    this.clientId = config.clientId;
+    this.authorizeUrl = config.authorizeUrl;
+    this.tokenUrl = config.tokenUrl;
+    this.redirectUri = config.redirectUri || `${window.location.origin}${window.location.pathname}`;
+    this.scope = config.scope;
+    this.storageKey = "tradingview-pkce";
+    this.refreshToken = null;
+  }
+
+  async requestToken() {
+    // Prefer a silent refresh if the last exchange gave us a refresh token
+    if (this.refreshToken) {
+      try {
+        return await this.exchange({
+          grant_type: "refresh_token",
+          refresh_token: this.refreshToken,
+        });
+      } catch (error) {
+        console.warn("PKCE refresh failed, signing in again:", error.message);
+        this.refreshToken = null;
+      }
+    }
+
+    // Returning from the login page with an authorization code
+    const params = new URLSearchParams(window.location.search);
+    const code = params.get("code");
+    const pending = this.readPendingLogin();
+
+    if (code && pending && params.get("state") === pending.state) {
+      sessionStorage.removeItem(this.storageKey);
+      window.history.replaceState(null, "", this.redirectUri);
+
+      return this.exchange({
+        grant_type: "authorization_code",
+        code,
+        code_verifier: pending.verifier,
+        redirect_uri: this.redirectUri,
+      });
+    }
+
+    await this.redirectToLogin();
+    throw new AuthError("Redirecting to sign in", 401);
+  }
+
+  /**
+   * Exchange a code or refresh token at the token endpoint
+   */
+  async exchange(grant) {
+    const formData = new URLSearchParams({ ...grant, client_id: this.clientId });
+
+    const response = await fetch(this.tokenUrl, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+      body: formData,
+    });
+
+    const data = await readTokenResponse(response);
+
+    if (data.refresh_token) {
+      this.refreshToken = data.refresh_token;
+    }
+
+    return { token: data.access_token, expiresIn: data.expires_in };
+  }
+
+  /**
+   * Read the verifier and state saved before redirecting to login
+   */
+  readPendingLogin() {
+    try {
+      return JSON.parse(sessionStorage.getItem(this.storageKey));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Send the user to the authorization endpoint with a fresh code challenge
+   */
+  async redirectToLogin() {
+    const verifier = base64UrlEncode(crypto.getRandomValues(new Uint8Array(32)));
+    const state = base64UrlEncode(crypto.getRandomValues(new Uint8Array(16)));
+    const challenge = base64UrlEncode(
+      await crypto.subtle.digest("SHA-256", new TextEncoder().encode(verifier))
+    );
+
+    sessionStorage.setItem(this.storageKey, JSON.stringify({ verifier, state }));
+
+    const url = new URL(this.authorizeUrl);
+    url.searchParams.append("response_type", "code");
+    url.searchParams.append("client_id", this.clientId);
+    url.searchParams.append("redirect_uri", this.redirectUri);
+    url.searchParams.append("code_challenge", challenge);
+    url.searchParams.append("code_challenge_method", "S256");
+    url.searchParams.append("state", state);
+    if (this.scope) {
+      url.searchParams.append("scope", this.scope);
+    }
+
+    console.log("🔑 Redirecting to sign in");
+    window.location.assign(url.toString());
+  }
+}
+
+const strategies = {
+  client_credentials: ClientCredentialsStrategy,
+  static: StaticTokenStrategy,
+  callback: CallbackTokenStrategy,
+  pkce: PkceStrategy,
+};
+
+/**
+ * Create the strategy named by config.authStrategy
+ */
+export function createAuthStrategy(config) {
+  const Strategy = strategies[config.authStrategy || "client_credentials"];
+
+  if (!Strategy) {
+    throw new Error(`Unknown auth strategy: ${config.authStrategy}`);
+  }
+
+  return new Strategy(config);
+}
@@ -1,3 +1,17 @@
+import { TokenSync } from "./token-sync";
+import { createAuthStrategy } from "./auth-strategies";
+
+/**
+ * Error raised when the API keeps rejecting our credentials
+ */
+export class AuthError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = "AuthError";
+    this.status = status;
+  }
+}
+
 /**
  * Authentication service for managing tokens
  */
@@ -6,8 +20,30 @@ export class AuthService {
     this.config = config;
     this.token = null;
     this.tokenExpiry = null;
+    this.tokenPromise = null;
+    this.rejectedToken = null;
     this.refreshTimer = null;
     this.refreshThreshold = 60000; // Refresh 60 seconds before expiry
+
+    // How tokens are obtained (client credentials, static, callback, PKCE)
+    this.strategy = createAuthStrategy(config);
+
+    // Share one token between open tabs
+    this.tokenSync =
+      this.strategy.shareAcrossTabs && config.shareTokenAcrossTabs !== false
+        ? new TokenSync()
+        : null;
+
+    if (this.tokenSync) {
+      this.tokenSync.onToken = (token, expiry) => this.adoptSharedToken(token, expiry);
+      this.tokenSync.onRefreshRequest = (rejectedToken) =>
+        this.handleRefreshRequest(rejectedToken);
+      this.tokenSync.onLeadershipAcquired = () => {
+        this.loadSharedToken();
+        this.scheduleTokenRefresh();
+      };
+      this.tokenSync.start();
+    }
   }
 
   /**
@@ -17,9 +53,62 @@ export class AuthService {
     if (this.isTokenValid()) {
       return this.token;
     }
+
+    // Another tab may already have fetched one
+    this.loadSharedToken();
+    if (this.isTokenValid()) {
+      return this.token;
+    }
+
     return this.fetchToken();
   }
 
+  /**
+   * Adopt the token other tabs have stored, if it is newer than ours
+   */
+  loadSharedToken() {
+    if (!this.tokenSync) return;
+
+    const shared = this.tokenSync.read();
+    if (shared) {
+      this.adoptSharedToken(shared.token, shared.expiry);
+    }
+  }
+
+  /**
+   * Use a token from another tab only if it outlives ours, so a delayed
+   * announcement can't roll this tab back to an older token
+   */
+  adoptSharedToken(token, expiry) {
+    if (!token || token === this.rejectedToken || !(expiry > (this.tokenExpiry || 0))) {
+      return false;
+    }
+
+    this.applyToken(token, expiry);
+    return true;
+  }
+
+  /**
+   * Use a token, whether fetched here or announced by another tab
+   */
+  applyToken(token, expiry) {
+    this.token = token;
+    this.tokenExpiry = expiry;
+    this.scheduleTokenRefresh();
+  }
+
+  /**
+   * Answer a follower tab asking for a replacement token (leader only)
+   */
+  handleRefreshRequest(rejectedToken) {
+    if (this.token && this.token !== rejectedToken && this.isTokenValid()) {
+      this.tokenSync.publish(this.token, this.tokenExpiry);
+      return;
+    }
+
+    this.refreshToken(rejectedToken).catch(() => {});
+  }
+
   /**
    * Check if current token is valid and not near expiry
    */
@@ -32,39 +121,92 @@ export class AuthService {
   }
 
   /**
-   * Fetch a new token using client credentials
+   * Drop the current token so the next request fetches a new one
    */
-  async fetchToken() {
-    try {
-      const { clientId, clientSecret, tokenUrl } = this.config;
+  invalidateToken() {
+    this.rejectedToken = this.token;
+    this.token = null;
+    this.tokenExpiry = null;
+  }
+
+  /**
+   * Replace a token the API rejected. If another caller already refreshed it,
+   * the newer token is returned without another request.
+   */
+  async refreshToken(rejectedToken) {
+    if (this.token && this.token !== rejectedToken && this.isTokenValid()) {
+      return this.token;
+    }
 
-      const formData = new URLSearchParams();
-      formData.append("grant_type", "client_credentials");
-      formData.append("client_id", clientId);
+    if (this.token === rejectedToken) {
+      this.invalidateToken();
+    }
 
-      const authHeader = "Basic " + btoa(`${clientId}:${clientSecret}`);
+    return this.fetchToken(rejectedToken);
+  }
 
-      const response = await fetch(tokenUrl, {
-        method: "POST",
-        headers: {
-          Authorization: authHeader,
-          "Content-Type": "application/x-www-form-urlencoded",
-        },
-        body: formData,
+  /**
+   * Fetch a new token, sharing one in-flight request between callers.
+   * Follower tabs ask the leader tab instead of the token broker.
+   */
+  fetchToken(rejectedToken = null) {
+    if (!this.tokenPromise) {
+      this.tokenPromise = this._fetchTokenAfterElection(rejectedToken).finally(() => {
+        this.tokenPromise = null;
       });
+    }
 
-      if (!response.ok) {
-        throw new Error(
-          `Token request failed: ${response.status} ${response.statusText}`
-        );
-      }
+    return this.tokenPromise;
+  }
 
-      const data = await response.json();
+  /**
+   * Wait for the tab election, then request the token as leader or follower
+   */
+  async _fetchTokenAfterElection(rejectedToken) {
+    if (this.tokenSync) {
+      await this.tokenSync.whenElected();
+    }
 
-      this.token = data.access_token;
-      this.tokenExpiry = Date.now() + data.expires_in * 1000;
+    if (this.tokenSync && this.tokenSync.isFollower()) {
+      return this._requestTokenFromLeader(rejectedToken);
+    }
 
-      this.scheduleTokenRefresh();
+    return this._requestToken(rejectedToken);
+  }
+
+  /**
+   * Wait for the leader tab to announce a token, falling back to our own
+   * request if it does not answer in time
+   */
+  async _requestTokenFromLeader(rejectedToken) {
+    try {
+      const { token, expiry } = await this.tokenSync.requestToken(rejectedToken);
+      this.applyToken(token, expiry);
+      return this.token;
+    } catch (error) {
+      console.warn(`${error.message}, requesting token directly`);
+      return this._requestToken(rejectedToken);
+    }
+  }
+
+  /**
+   * Request a new token through the configured strategy. A strategy that can
+   * only hand back the token the API rejected (a static token) has no way to
+   * recover, so that is an AuthError rather than another doomed retry.
+   */
+  async _requestToken(rejectedToken = null) {
+    try {
+      const { token, expiresIn } = await this.strategy.requestToken();
+
+      if (rejectedToken && token === rejectedToken) {
+        throw new AuthError(`The ${this.strategy.name} auth strategy has no token to replace the rejected one`, 401);
+      }
+
+      this.applyToken(token, Date.now() + expiresIn * 1000);
+
+      if (this.tokenSync) {
+        this.tokenSync.publish(this.token, this.tokenExpiry);
+      }
 
       return this.token;
     } catch (error) {
@@ -83,14 +225,19 @@ export class AuthService {
 
     if (!this.token || !this.tokenExpiry) return;
 
+    // Only the leader tab refreshes; followers receive its announcements
+    if (this.tokenSync && this.tokenSync.isFollower()) return;
+
     const timeToRefresh = this.tokenExpiry - Date.now() - this.refreshThreshold;
 
     if (timeToRefresh <= 0) {
-      this.fetchToken();
+      this.fetchToken().catch(() => {});
       return;
     }
 
-    this.refreshTimer = setTimeout(() => this.fetchToken(), timeToRefresh);
+    this.refreshTimer = setTimeout(() => {
+      this.fetchToken().catch(() => {});
+    }, timeToRefresh);
   }
 
   /**
@@ -101,6 +248,11 @@ export class AuthService {
       clearTimeout(this.refreshTimer);
       this.refreshTimer = null;
     }
+
+    if (this.tokenSync) {
+      this.tokenSync.stop();
+      this.tokenSync = null;
+    }
   }
 }
 
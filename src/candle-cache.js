@@ -0,0 +1,236 @@
+/**
+ * In-memory candle cache
+ *
+ * Keeps one merged, sorted candle array per symbol and width, together with
+ * the time ranges that have been fetched. A covered request is answered with
+ * exactly the candles inside the requested window. Entries live in a Map or in
+ * a shared LruCache, in which case an evicted series takes its ranges with it.
+ */
+
+/**
+ * Find the first index whose candle timestamp is >= time
+ */
+function lowerBound(candles, time) {
+  let low = 0;
+  let high = candles.length;
+
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (candles[mid].timestamp < time) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+
+  return low;
+}
+
+/**
+ * Find the first index whose candle timestamp is > time
+ */
+function upperBound(candles, time) {
+  let low = 0;
+  let high = candles.length;
+
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (candles[mid].timestamp <= time) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+
+  return low;
+}
+
+/**
+ * Merge two sorted candle arrays, newer values winning on equal timestamps
+ */
+function mergeByTimestamp(existing, incoming) {
+  if (existing.length === 0) return [...incoming];
+  if (incoming.length === 0) return existing;
+
+  // Fast paths for data that lies entirely before or after what we have
+  if (incoming[incoming.length - 1].timestamp < existing[0].timestamp) {
+    return [...incoming, ...existing];
+  }
+  if (incoming[0].timestamp > existing[existing.length - 1].timestamp) {
+    return [...existing, ...incoming];
+  }
+
+  const merged = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < existing.length && j < incoming.length) {
+    if (existing[i].timestamp < incoming[j].timestamp) {
+      merged.push(existing[i++]);
+    } else if (existing[i].timestamp > incoming[j].timestamp) {
+      merged.push(incoming[j++]);
+    } else {
+      merged.push(incoming[j++]);
+      i++;
+    }
+  }
+
+  while (i < existing.length) merged.push(existing[i++]);
+  while (j < incoming.length) merged.push(incoming[j++]);
+
+  return merged;
+}
+
+/**
+ * Add a range to a list of ranges, merging overlapping and adjacent ones
+ */
+function mergeRange(ranges, start, end) {
+  const sorted = [...ranges, { start, end }].sort((a, b) => a.start - b.start);
+  const merged = [{ ...sorted[0] }];
+
+  for (let i = 1; i < sorted.length; i++) {
+    const current = sorted[i];
+    const last = merged[merged.length - 1];
+
+    if (current.start <= last.end) {
+      // Ranges overlap or touch, extend the previous range
+      last.end = Math.max(last.end, current.end);
+    } else {
+      merged.push({ ...current });
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Get the parts of [start, end] not covered by any of the given ranges
+ */
+export function subtractRanges(start, end, ranges) {
+  const missing = [];
+  let cursor = start;
+
+  const sorted = [...ranges].sort((a, b) => a.start - b.start);
+
+  for (const range of sorted) {
+    if (range.end < cursor) continue;
+    if (range.start > end) break;
+
+    if (range.start > cursor) {
+      missing.push({ start: cursor, end: range.start });
+    }
+
+    cursor = Math.max(cursor, range.end);
+  }
+
+  if (cursor < end) {
+    missing.push({ start: cursor, end });
+  }
+
+  return missing;
+}
+
+export class CandleCache {
+  constructor(store = new Map()) {
+    // candles:symbol:width -> { candles, ranges }
+    this.series = store;
+  }
+
+  /**
+   * Get the cache key for a symbol and width
+   */
+  getKey(symbol, width) {
+    return `candles:${symbol}:${width}`;
+  }
+
+  /**
+   * Read an entry. Lookups that answer a request mark it as recently used;
+   * follow-up reads peek so a request counts once in the cache statistics.
+   */
+  getEntry(symbol, width, touch = false) {
+    const key = this.getKey(symbol, width);
+
+    if (!touch && typeof this.series.peek === "function") {
+      return this.series.peek(key);
+    }
+
+    return this.series.get(key);
+  }
+
+  /**
+   * Record that [start, end] was fetched and merge its candles
+   */
+  add(symbol, width, start, end, candles) {
+    const key = this.getKey(symbol, width);
+    const entry = this.getEntry(symbol, width) || { candles: [], ranges: [] };
+
+    const inRange = (Array.isArray(candles) ? candles : [])
+      .filter((candle) => candle && candle.timestamp >= start && candle.timestamp <= end)
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    entry.candles = mergeByTimestamp(entry.candles, inRange);
+    entry.ranges = mergeRange(entry.ranges, start, end);
+
+    // Writing back re-weighs the entry in a size-budgeted store
+    this.series.set(key, entry);
+  }
+
+  /**
+   * Check if [start, end] lies entirely inside one fetched range. Pass
+   * touch = false for a follow-up check within a request already counted.
+   */
+  isCovered(symbol, width, start, end, touch = true) {
+    const entry = this.getEntry(symbol, width, touch);
+    if (!entry) return false;
+
+    return entry.ranges.some((range) => range.start <= start && range.end >= end);
+  }
+
+  /**
+   * Get the sub-ranges of [start, end] that have not been fetched yet
+   */
+  getMissingRanges(symbol, width, start, end) {
+    const entry = this.getEntry(symbol, width, true);
+    return subtractRanges(start, end, entry ? entry.ranges : []);
+  }
+
+  /**
+   * Get exactly the cached candles inside [start, end]
+   */
+  slice(symbol, width, start, end) {
+    const entry = this.getEntry(symbol, width);
+    if (!entry) return [];
+
+    return entry.candles.slice(
+      lowerBound(entry.candles, start),
+      upperBound(entry.candles, end)
+    );
+  }
+
+  /**
+   * Get all cached candles for a symbol and width
+   */
+  getCandles(symbol, width) {
+    const entry = this.getEntry(symbol, width);
+    return entry ? entry.candles : [];
+  }
+
+  /**
+   * Get the fetched ranges for a symbol and width
+   */
+  getRanges(symbol, width) {
+    const entry = this.getEntry(symbol, width);
+    return entry ? entry.ranges : [];
+  }
+
+  /**
+   * Remove everything from the cache
+   */
+  clear() {
+    Array.from(this.series.keys())
+      .filter((key) => key.startsWith("candles:"))
+      .forEach((key) => this.series.delete(key));
+  }
+}
+
+export default CandleCache;
@@ -0,0 +1,211 @@
+import { addBars } from "./intervals";
+
+/**
+ * Persistent candle store backed by IndexedDB
+ *
+ * Keeps candles and the ranges they cover per symbol and width across page
+ * loads. Ranges are only trusted up to the last bar that had closed when it
+ * was fetched, so open and recent bars are always fetched again. Whole entries
+ * expire after a per-width age, and the least recently used entries are
+ * dropped once the store holds more candles than its budget.
+ */
+
+const DB_NAME = "tradingview-candles";
+const DB_VERSION = 1;
+const SERIES_STORE = "series";
+const META_STORE = "meta";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// How long a stored series is trusted before it is fetched again from scratch
+const DEFAULT_MAX_AGE = {
+  "1m": 1 * DAY,
+  "5m": 3 * DAY,
+  "15m": 7 * DAY,
+  "30m": 7 * DAY,
+  "1h": 14 * DAY,
+  "2h": 14 * DAY,
+  "4h": 30 * DAY,
+  "12h": 30 * DAY,
+  "1d": 90 * DAY,
+  "1w": 180 * DAY,
+  "1mo": 365 * DAY,
+};
+
+/**
+ * Wrap an IndexedDB request in a promise
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for an IndexedDB transaction to finish
+ */
+function promisifyTransaction(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+export class CandleStore {
+  constructor(options = {}) {
+    this.maxCandles = options.maxCandles || 500000;
+    this.maxAge = { ...DEFAULT_MAX_AGE, ...options.maxAge };
+    this.dbPromise = null;
+  }
+
+  /**
+   * Check if IndexedDB is available in this environment
+   */
+  static isSupported() {
+    return typeof indexedDB !== "undefined";
+  }
+
+  /**
+   * Open the database, creating stores on first use
+   */
+  open() {
+    if (!this.dbPromise) {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(SERIES_STORE, { keyPath: "key" });
+        db.createObjectStore(META_STORE, { keyPath: "key" });
+      };
+
+      this.dbPromise = promisifyRequest(request);
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Get the expiry age for a width
+   */
+  getMaxAge(width) {
+    return this.maxAge[width] || 7 * DAY;
+  }
+
+  /**
+   * Load stored candles and covered ranges for a symbol and width.
+   * Returns null if nothing usable is stored.
+   */
+  async load(symbol, width) {
+    const key = `${symbol}:${width}`;
+    const db = await this.open();
+
+    const transaction = db.transaction([SERIES_STORE, META_STORE], "readwrite");
+    const record = await promisifyRequest(transaction.objectStore(SERIES_STORE).get(key));
+
+    if (!record) {
+      return null;
+    }
+
+    // Expired entries are dropped so the next save starts fresh
+    if (Date.now() - record.updatedAt > this.getMaxAge(width)) {
+      console.log(`🗄️ Stored candles expired for ${key}`);
+      transaction.objectStore(SERIES_STORE).delete(key);
+      transaction.objectStore(META_STORE).delete(key);
+      await promisifyTransaction(transaction);
+      return null;
+    }
+
+    // Touch for LRU eviction
+    transaction.objectStore(META_STORE).put({
+      key,
+      size: record.candles.length,
+      lastAccess: Date.now(),
+    });
+    await promisifyTransaction(transaction);
+
+    return { candles: record.candles, ranges: record.ranges };
+  }
+
+  /**
+   * Store candles and covered ranges for a symbol and width
+   */
+  async save(symbol, width, candles, ranges) {
+    const key = `${symbol}:${width}`;
+
+    // Only bars that have already closed are trusted on the next load
+    const lastClosedBar = addBars(Date.now(), width, -1);
+    const trustedRanges = ranges
+      .map((range) => ({ start: range.start, end: Math.min(range.end, lastClosedBar) }))
+      .filter((range) => range.end > range.start);
+    const trustedCandles = candles.filter((candle) =>
+      trustedRanges.some(
+        (range) => candle.timestamp >= range.start && candle.timestamp <= range.end
+      )
+    );
+
+    if (trustedCandles.length === 0) return;
+
+    const db = await this.open();
+    const transaction = db.transaction([SERIES_STORE, META_STORE], "readwrite");
+    const now = Date.now();
+
+    transaction.objectStore(SERIES_STORE).put({
+      key,
+      symbol,
+      width,
+      candles: trustedCandles,
+      ranges: trustedRanges,
+      updatedAt: now,
+    });
+    transaction.objectStore(META_STORE).put({
+      key,
+      size: trustedCandles.length,
+      lastAccess: now,
+    });
+
+    await promisifyTransaction(transaction);
+    await this.enforceBudget();
+  }
+
+  /**
+   * Drop least recently used series until the store fits its candle budget
+   */
+  async enforceBudget() {
+    const db = await this.open();
+    const transaction = db.transaction([SERIES_STORE, META_STORE], "readwrite");
+    const metaStore = transaction.objectStore(META_STORE);
+
+    const entries = await promisifyRequest(metaStore.getAll());
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+    if (total > this.maxCandles) {
+      entries.sort((a, b) => a.lastAccess - b.lastAccess);
+
+      for (const entry of entries) {
+        if (total <= this.maxCandles) break;
+
+        transaction.objectStore(SERIES_STORE).delete(entry.key);
+        metaStore.delete(entry.key);
+        total -= entry.size;
+        console.log(`🗄️ Evicted stored candles for ${entry.key}`);
+      }
+    }
+
+    await promisifyTransaction(transaction);
+  }
+
+  /**
+   * Remove everything from the store
+   */
+  async clear() {
+    const db = await this.open();
+    const transaction = db.transaction([SERIES_STORE, META_STORE], "readwrite");
+    transaction.objectStore(SERIES_STORE).clear();
+    transaction.objectStore(META_STORE).clear();
+    await promisifyTransaction(transaction);
+  }
+}
+
+export default CandleStore;
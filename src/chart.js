@@ -3,20 +3,26 @@ import {
   formatCandleData,
   mergeCandles,
   calculateDataRange,
-  findNearestTradingDay,
   formatPrice,
   formatDate,
-  parseInterval,
+  getMaxBarsPerRequest,
+  isAbortError,
 } from "./utils";
+import { addBars, countBars } from "./intervals";
+import { getBaseWidth, isNativeWidth } from "./aggregation";
+import { SessionCalendar } from "./session-calendar";
 
 /**
  * Chart wrapper for TradingView Lightweight Charts
  */
 export class ChartComponent {
-  constructor(container, apiService) {
+  constructor(container, apiService, options = {}) {
     this.container = container;
     this.apiService = apiService;
 
+    // Clock for ranges and market status, the replay clock while replaying
+    this.now = options.now || (() => Date.now());
+
     // Chart state
     this.chart = null;
     this.candleSeries = null;
@@ -24,24 +30,27 @@ export class ChartComponent {
     this.interval = "1d";
     this.data = [];
     this.instrumentData = null;
+    this.sessionCalendar = null;
     this.isLoading = false;
     this.loadingPromise = null;
+    this.loadController = null;
     this.lastLoadedRange = null;
     this.realtimeCallback = null;
+    this.onLoadProgress = null;
     this._timeRangeChangeTimeout = null;
     this.tooltipElement = document.getElementById("tooltip-container");
     
     this.isInitializing = false;
     this.timeRangeChangeCooldown = false;
 
-    // Data cache
-    this.dataCache = new Map();
+    // Data cache, sharing the API service's LRU budget
+    this.dataCache = apiService.cache;
     
     // Backward scroll tracking
     this.backwardScrollAttempts = 0;
     this.lastViewportFrom = null;
     this.maxBackwardScrollAttempts = 3; // After this many attempts, we'll force a load
-    this.historyLoadLimit = new Date().getTime() - (10 * 365 * 24 * 60 * 60 * 1000); // 10 years back max
+    this.historyLoadLimit = this.now() - (10 * 365 * 24 * 60 * 60 * 1000); // 10 years back max
     this.reachedHistoryLimit = false;
     
     // Track consecutive empty responses for different time ranges
@@ -49,6 +58,12 @@ export class ChartComponent {
     this.lastEmptyResponseStart = null;
     this.maxEmptyResponses = 2; // After this many empty responses, consider it the history limit
 
+    // Bar replay: bars after the cursor are hidden until stepped through
+    this.barReplay = null;
+    this.barReplaySpeed = 2; // Bars per second
+    this.barReplayContextBars = 200; // Bars loaded either side of the start date
+    this.onBarReplayChange = null;
+
     this.init();
   }
 
@@ -327,8 +342,10 @@ export class ChartComponent {
         
         // Detect backward scrolling - calculate a significant change threshold
         // For 1m interval, we need a smaller threshold
-        const intervalMs = parseInterval(this.interval);
-        const scrollThreshold = Math.max(intervalMs * 5, 60000); // At least 5 bars or 1 minute
+        const scrollThreshold = this.lastViewportFrom === null ? 0 : Math.max(
+          this.lastViewportFrom - addBars(this.lastViewportFrom, this.interval, -5),
+          60000
+        ); // At least 5 bars or 1 minute
         
         // Only consider it backward scrolling if we moved back by a significant amount
         const isScrollingBackward = this.lastViewportFrom !== null && 
@@ -353,7 +370,7 @@ export class ChartComponent {
           // Calculate buffer based on interval - smaller intervals need smaller absolute buffers
           // Use both percentage and absolute minimum to handle different intervals better
           const percentBuffer = (end - start) * 0.1; // 10% buffer
-          const minBuffer = Math.max(intervalMs * 10, 300000); // At least 10 bars or 5 minutes
+          const minBuffer = Math.max(addBars(start, this.interval, 10) - start, 300000); // At least 10 bars or 5 minutes
           const buffer = Math.max(percentBuffer, minBuffer);
           
           if (fromMs < start + buffer) {
@@ -455,6 +472,31 @@ export class ChartComponent {
     }
   }
 
+  /**
+   * Get the session calendar of the current instrument, rebuilt when the
+   * instrument data changes
+   */
+  getSessionCalendar() {
+    if (!this.instrumentData) return null;
+
+    if (!this.sessionCalendar || this.sessionCalendar.instrument !== this.instrumentData) {
+      this.sessionCalendar = {
+        instrument: this.instrumentData,
+        calendar: SessionCalendar.fromInstrument(this.instrumentData),
+      };
+    }
+    return this.sessionCalendar.calendar;
+  }
+
+  /**
+   * Get the current instrument's market state and when it next opens or
+   * closes, or null before its instrument data loads
+   */
+  getMarketStatus(timestamp = this.now()) {
+    const calendar = this.getSessionCalendar();
+    return calendar ? calendar.getStatus(timestamp) : null;
+  }
+
   /**
    * Check if requested range overlaps with already loaded data
    */
@@ -462,9 +504,9 @@ export class ChartComponent {
     if (!this.lastLoadedRange || !this.data.length) return false;
     
     // Allow for some buffer at the edges - adjust based on interval
-    const intervalMs = parseInterval(this.interval);
+    const { start: loadedFrom } = this.lastLoadedRange;
     const buffer = Math.min(
-      Math.max(intervalMs * 20, 300000), // At least 20 candles or 5 minutes
+      Math.max(loadedFrom - addBars(loadedFrom, this.interval, -20), 300000), // At least 20 candles or 5 minutes
       24 * 60 * 60 * 1000 // Maximum 1 day buffer
     );
     
@@ -486,23 +528,16 @@ export class ChartComponent {
       return this.loadingPromise;
     }
 
-    // For very small intervals, make sure we're not requesting too much data at once
-    if (this.interval === '1m') {
-      const requestDuration = end - start;
-      const maxDuration = 7 * 24 * 60 * 60 * 1000; // 7 days for 1m interval
-      
-      if (requestDuration > maxDuration && !forceLoad) {
-        console.log(`⚠️ Request duration too long for 1m interval (${(requestDuration/1000/60/60/24).toFixed(1)} days), limiting to ${(maxDuration/1000/60/60/24).toFixed(1)} days`);
-        start = end - maxDuration;
-      }
-    }
-
     // Check if the requested range is already covered by loaded data
     if (!forceLoad && this.isRangeAlreadyLoaded(start, end)) {
       console.log(`✅ Requested range already loaded: ${new Date(start).toISOString()} - ${new Date(end).toISOString()}`);
       return Promise.resolve(this.data);
     }
 
+    // Loads belong to the current symbol and interval and are cancelled with them
+    const signal = this.loadController ? this.loadController.signal : undefined;
+    const isCancelled = () => !!signal && signal.aborted;
+
     console.log(`📈 Loading data: ${this.symbol}@${this.interval}`, {
       requestRange: {
         start: new Date(start).toISOString(),
@@ -518,26 +553,32 @@ export class ChartComponent {
         // Fetch instrument data if not available
         if (!this.instrumentData) {
           try {
-            this.instrumentData = await this.apiService.fetchInstrument(this.symbol);
+            const instrumentData = await this.apiService.fetchInstrument(this.symbol, { signal });
+            if (isCancelled()) return this.data;
+
+            this.instrumentData = instrumentData;
             console.log(`📌 Instrument data: ${this.symbol}`, {
               category: this.instrumentData.category,
               hasTradingHours: !!(this.instrumentData.market && this.instrumentData.market.length > 0),
             });
           } catch (error) {
+            if (isCancelled()) return this.data;
             console.warn("Could not fetch instrument data:", error.message);
           }
         }
 
-        // For instruments with limited trading hours, adjust the start time
+        // Make sure the window covers at least one session, so a closed
+        // stretch (a weekend, a holiday) doesn't come back empty
         let adjustedStart = start;
-        if (this.instrumentData && this.instrumentData.category !== "Crypto") {
-          const originalStart = new Date(start).toISOString();
-          adjustedStart = findNearestTradingDay(this.instrumentData, adjustedStart);
-          
-          if (adjustedStart !== start) {
+        const calendar = this.getSessionCalendar();
+        if (calendar && calendar.getSessions(start, end).length === 0) {
+          const previousSession = calendar.previousSession(start);
+
+          if (previousSession) {
+            adjustedStart = previousSession.open;
             const dayDiff = Math.round((start - adjustedStart) / (1000 * 60 * 60 * 24));
             console.log(`⏱️ Adjusted start time for ${this.symbol}`, {
-              original: originalStart,
+              original: new Date(start).toISOString(),
               adjusted: new Date(adjustedStart).toISOString(),
               difference: `${dayDiff} days`,
             });
@@ -551,9 +592,21 @@ export class ChartComponent {
           {
             start: adjustedStart,
             end,
+            // Long ranges are fetched in chunks by the API service
+            onProgress: (progress) => {
+              if (isCancelled()) return;
+              console.log(`⏬ Loaded chunk ${progress.completed}/${progress.total}: ${this.symbol}@${this.interval}`);
+              if (this.onLoadProgress) {
+                this.onLoadProgress(progress);
+              }
+            },
+            signal,
           }
         );
 
+        // A newer symbol or interval owns the chart now
+        if (isCancelled()) return this.data;
+
         if (candles && candles.length > 0) {
           const firstCandle = candles[0];
           const lastCandle = candles[candles.length - 1];
@@ -629,11 +682,18 @@ export class ChartComponent {
 
         return this.data;
       } catch (error) {
-        console.error("Error loading data:", error);
+        if (isAbortError(error)) {
+          console.log(`🚫 Cancelled data load for superseded symbol/interval`);
+        } else {
+          console.error("Error loading data:", error);
+        }
         return this.data;
       } finally {
-        this.setLoadingState(false);
-        this.loadingPromise = null;
+        // A cancelled load no longer owns the loading state
+        if (!isCancelled()) {
+          this.setLoadingState(false);
+          this.loadingPromise = null;
+        }
       }
     })();
 
@@ -645,16 +705,25 @@ export class ChartComponent {
    */
   updateSeries() {
     if (!this.data || !this.candleSeries || this.data.length === 0) return;
-    this.candleSeries.setData(this.data);
+    this.candleSeries.setData(this.getVisibleData());
   }
 
   /**
    * Calculate optimal load range based on interval
    */
   calculateInitialLoadRange(interval) {
-    const end = Date.now();
+    const end = this.now();
     let start;
 
+    // Custom widths load the native bars their native width would, up to
+    // one request's worth, so a wide custom bar doesn't multiply the range
+    const baseWidth = getBaseWidth(interval);
+    if (baseWidth && !isNativeWidth(interval)) {
+      const baseRange = this.calculateInitialLoadRange(baseWidth);
+      const bars = Math.min(countBars(baseRange.start, end, baseWidth), getMaxBarsPerRequest(baseWidth));
+      return { start: addBars(end, baseWidth, -bars), end };
+    }
+
     // Comprehensive initial data load to prevent multiple requests
     switch (interval) {
       case "1m":
@@ -707,24 +776,31 @@ export class ChartComponent {
       return;
     }
 
+    // Cancel whatever the previous symbol or interval was still loading
+    if (this.loadController) {
+      this.loadController.abort();
+    }
+    this.loadController = new AbortController();
+    this.loadingPromise = null;
+    const { signal } = this.loadController;
+
     // Set initialization flags and disable time range change events
     this.isInitializing = true;
     this._unsubscribeFromTimeRangeChanges();
     this.setLoadingState(true);
 
+    // A new symbol or interval ends bar replay; live updates are set up below
+    this._clearBarReplay();
+
     try {
       // Unsubscribe from previous
-      if (this.symbol && this.interval && this.realtimeCallback) {
-        await this.apiService.unsubscribeFromCandles(
-          this.symbol,
-          this.interval,
-          this.realtimeCallback
-        );
-        this.realtimeCallback = null;
-      }
+      await this._unsubscribeFromRealtime();
+
+      // Superseded while unsubscribing
+      if (signal.aborted) return;
 
       // Cache current data if any
-      const currentKey = this.symbol && this.interval ? `${this.symbol}:${this.interval}` : null;
+      const currentKey = this.symbol && this.interval ? `chart:${this.symbol}:${this.interval}` : null;
       if (currentKey && this.data.length > 0) {
         this.dataCache.set(currentKey, {
           data: [...this.data],
@@ -743,7 +819,7 @@ export class ChartComponent {
       this.reachedHistoryLimit = false;
 
       // Check cache for new symbol/interval
-      const newKey = `${symbol}:${interval}`;
+      const newKey = `chart:${symbol}:${interval}`;
       const cachedData = this.dataCache.get(newKey);
 
       if (cachedData) {
@@ -767,78 +843,374 @@ export class ChartComponent {
 
         // Fetch instrument data first
         try {
-          this.instrumentData = await this.apiService.fetchInstrument(symbol);
+          const instrumentData = await this.apiService.fetchInstrument(symbol, { signal });
+          if (signal.aborted) return;
+          this.instrumentData = instrumentData;
         } catch (error) {
+          if (signal.aborted) return;
           console.warn("Could not fetch instrument data:", error.message);
           // Continue without instrument data
         }
 
         // Single comprehensive data load
         await this.loadDataForRange(start, end);
+        if (signal.aborted) return;
       }
 
       // Set up realtime subscription
-      this.realtimeCallback = (candle) => {
-        // Convert to chart format
-        const timestamp = Math.floor(candle.timestamp / 1000);
-
-        const candleData = {
-          time: timestamp,
-          open: candle.open,
-          high: candle.high,
-          low: candle.low,
-          close: candle.close,
-          volume: candle.volume || 0,
-        };
-
-        // Update or add to data array
-        const index = this.data.findIndex((c) => c.time === timestamp);
-
-        if (index >= 0) {
-          this.data[index] = candleData;
-        } else {
-          this.data.push(candleData);
-          this.data.sort((a, b) => a.time - b.time);
-        }
-
-        // Update chart
-        this.candleSeries.update(candleData);
-
-        // Update loaded range
-        if (this.lastLoadedRange) {
-          this.lastLoadedRange.end = Math.max(
-            this.lastLoadedRange.end,
-            candle.timestamp
-          );
-        }
-      };
-
-      // Subscribe to updates for this symbol and interval
-      await this.apiService.subscribeToCandles(
-        this.symbol,
-        this.interval,
-        this.realtimeCallback
-      );
+      await this._subscribeToRealtime();
+      if (signal.aborted) return;
 
       // Fit content to view
       this.chart.timeScale().fitContent();
 
       return this.data;
     } catch (error) {
+      if (signal.aborted) return;
       console.error(`Error loading symbol ${symbol} with interval ${interval}:`, error);
       throw error;
     } finally {
-      this.setLoadingState(false);
-      
-      // Prevent immediate follow-up requests by setting a cooldown period
-      this.timeRangeChangeCooldown = true;
-      setTimeout(() => {
-        // Re-enable time range changes after initialization complete
-        this.isInitializing = false;
-        this.timeRangeChangeCooldown = false;
-        this._subscribeToTimeRangeChanges();
-        console.log("✅ Chart initialization complete, time range change handling enabled");
-      }, 1000); // 1 second cooldown before allowing new requests
+      // A superseded load leaves the chart state to the newer one
+      if (!signal.aborted) {
+        this.setLoadingState(false);
+        
+        // Prevent immediate follow-up requests by setting a cooldown period
+        this.timeRangeChangeCooldown = true;
+        setTimeout(() => {
+          // Re-enable time range changes after initialization complete
+          this.isInitializing = false;
+          this.timeRangeChangeCooldown = false;
+          this._subscribeToTimeRangeChanges();
+          console.log("✅ Chart initialization complete, time range change handling enabled");
+        }, 1000); // 1 second cooldown before allowing new requests
+      }
+    }
+  }
+
+  /**
+   * Subscribe to live updates for the current symbol and interval
+   */
+  async _subscribeToRealtime() {
+    if (!this.symbol || !this.interval || this.realtimeCallback) return;
+
+    this.realtimeCallback = (candle) => {
+      // Convert to chart format
+      const timestamp = Math.floor(candle.timestamp / 1000);
+
+      const candleData = {
+        time: timestamp,
+        open: candle.open,
+        high: candle.high,
+        low: candle.low,
+        close: candle.close,
+        volume: candle.volume || 0,
+      };
+
+      // Update or add to data array
+      const index = this.data.findIndex((c) => c.time === timestamp);
+
+      if (index >= 0) {
+        this.data[index] = candleData;
+      } else {
+        this.data.push(candleData);
+        this.data.sort((a, b) => a.time - b.time);
+      }
+
+      // Update chart
+      this.candleSeries.update(candleData);
+
+      // Update loaded range
+      if (this.lastLoadedRange) {
+        this.lastLoadedRange.end = Math.max(
+          this.lastLoadedRange.end,
+          candle.timestamp
+        );
+      }
+    };
+
+    // Candles missed while the socket was down are merged in before
+    // live updates resume
+    const backfillCallback = (candles) => {
+      const backfilled = formatCandleData(candles);
+      if (backfilled.length === 0) return;
+
+      this.data = mergeCandles(this.data, backfilled);
+      this.updateSeries();
+
+      if (this.lastLoadedRange) {
+        this.lastLoadedRange.end = Math.max(
+          this.lastLoadedRange.end,
+          candles[candles.length - 1].timestamp
+        );
+      }
+    };
+
+    // Subscribe to updates for this symbol and interval
+    const lastCandle = this.data[this.data.length - 1];
+    await this.apiService.subscribeToCandles(
+      this.symbol,
+      this.interval,
+      this.realtimeCallback,
+      {
+        onBackfill: backfillCallback,
+        lastTimestamp: lastCandle ? lastCandle.time * 1000 : undefined,
+      }
+    );
+  }
+
+  /**
+   * Unsubscribe from live updates for the current symbol and interval
+   */
+  async _unsubscribeFromRealtime() {
+    if (!this.symbol || !this.interval || !this.realtimeCallback) return;
+
+    const callback = this.realtimeCallback;
+    this.realtimeCallback = null;
+    await this.apiService.unsubscribeFromCandles(this.symbol, this.interval, callback);
+  }
+
+  /**
+   * Get the bars shown on the chart, which stop at the cursor during bar replay
+   */
+  getVisibleData() {
+    if (!this.barReplay) return this.data;
+    return this.data.slice(0, this._countBarsUntil(this.barReplay.time));
+  }
+
+  /**
+   * Count the bars at or before a chart time (seconds)
+   */
+  _countBarsUntil(time) {
+    let low = 0;
+    let high = this.data.length;
+
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.data[mid].time <= time) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    return low;
+  }
+
+  /**
+   * Start bar replay at a date. Bars after it are hidden and revealed one at
+   * a time, and live updates are suspended until the replay ends.
+   */
+  async startBarReplay(startTime) {
+    if (!this.symbol || !this.interval) return;
+
+    // The symbol is still loading and would subscribe to live updates after us
+    if (this.isInitializing && this.isLoading) {
+      console.log(`⏭️ Skipping bar replay - symbol still loading`);
+      return;
+    }
+
+    this._clearBarReplay();
+
+    // Live bars would reveal the future, they are restored by stopBarReplay
+    await this._unsubscribeFromRealtime();
+
+    this.barReplay = {
+      time: Math.floor(startTime / 1000),
+      speed: this.barReplaySpeed,
+      playing: false,
+      timer: null,
+      gap: null, // Range between the start date and the loaded bars
+    };
+    this.updateSeries();
+    this._notifyBarReplayChange();
+
+    console.log(`⏮️ Bar replay from ${new Date(startTime).toISOString()}: ${this.symbol}@${this.interval}`);
+
+    if (this.loadingPromise) {
+      await this.loadingPromise;
+    }
+
+    // Load the bars around an earlier start date only. The stretch from there
+    // to the loaded range is left as a gap that stepping loads as it gets there.
+    const replay = this.barReplay;
+    const contextStart = addBars(startTime, this.interval, -this.barReplayContextBars);
+
+    if (replay && this.lastLoadedRange && contextStart < this.lastLoadedRange.start) {
+      const gap = {
+        start: Math.min(addBars(startTime, this.interval, this.barReplayContextBars), this.lastLoadedRange.start),
+        end: this.lastLoadedRange.start,
+      };
+      replay.gap = gap.start < gap.end ? gap : null;
+
+      await this.loadDataForRange(contextStart, gap.start, true);
+    }
+
+    if (this.barReplay && this.chart) {
+      this.chart.timeScale().scrollToRealTime();
+    }
+  }
+
+  /**
+   * Reveal the next bar. Loads newer bars when the loaded ones run out, and
+   * pauses at the latest bar. Returns whether a bar was revealed.
+   */
+  async stepBarReplay() {
+    if (!this.barReplay) return false;
+
+    const replay = this.barReplay;
+    let next = this.data[this._countBarsUntil(replay.time)];
+
+    // Fill the gap after the start date a request at a time as it is reached
+    while (replay.gap && (!next || next.time * 1000 >= replay.gap.start)) {
+      const { start, end } = replay.gap;
+      const chunkEnd = Math.min(addBars(start, this.interval, getMaxBarsPerRequest(this.interval)), end);
+
+      if (this.loadingPromise) {
+        await this.loadingPromise;
+      }
+      await this.loadDataForRange(start, chunkEnd, true);
+      if (this.barReplay !== replay) return false;
+
+      replay.gap = chunkEnd < end ? { start: chunkEnd, end } : null;
+      next = this.data[this._countBarsUntil(replay.time)];
+    }
+
+    // Bars formed while replaying are not loaded yet
+    if (!next && this.lastLoadedRange && this.lastLoadedRange.end < addBars(this.now(), this.interval, -1)) {
+      await this.loadDataForRange(this.lastLoadedRange.end, this.now(), true);
+      if (this.barReplay !== replay) return false;
+      next = this.data[this._countBarsUntil(replay.time)];
+    }
+
+    if (!next) {
+      console.log(`⏹️ Bar replay reached the latest bar: ${this.symbol}@${this.interval}`);
+      this.pauseBarReplay();
+      return false;
+    }
+
+    replay.time = next.time;
+    this.candleSeries.update(next);
+    this._notifyBarReplayChange();
+
+    return true;
+  }
+
+  /**
+   * Reveal bars at the replay speed until paused or out of bars
+   */
+  playBarReplay() {
+    if (!this.barReplay || this.barReplay.playing) return;
+
+    const replay = this.barReplay;
+    replay.playing = true;
+
+    const scheduleNext = () => {
+      replay.timer = setTimeout(async () => {
+        const stepped = await this.stepBarReplay();
+        if (stepped && replay.playing && this.barReplay === replay) {
+          scheduleNext();
+        }
+      }, 1000 / replay.speed);
+    };
+
+    scheduleNext();
+    this._notifyBarReplayChange();
+  }
+
+  /**
+   * Pause bar replay, keeping the current bar
+   */
+  pauseBarReplay() {
+    if (!this.barReplay || !this.barReplay.playing) return;
+
+    this.barReplay.playing = false;
+    clearTimeout(this.barReplay.timer);
+    this.barReplay.timer = null;
+    this._notifyBarReplayChange();
+  }
+
+  /**
+   * Set the replay speed in bars per second. Takes effect from the next bar.
+   */
+  setBarReplaySpeed(barsPerSecond) {
+    if (!(barsPerSecond > 0)) return;
+
+    this.barReplaySpeed = barsPerSecond;
+    if (this.barReplay) {
+      this.barReplay.speed = barsPerSecond;
+      this._notifyBarReplayChange();
+    }
+  }
+
+  /**
+   * End bar replay, showing every bar and resuming live updates
+   */
+  async stopBarReplay() {
+    if (!this.barReplay) return;
+
+    if (this.loadingPromise) {
+      await this.loadingPromise;
+    }
+
+    this._clearBarReplay();
+    this.updateSeries();
+    console.log(`⏹️ Bar replay ended: ${this.symbol}@${this.interval}`);
+
+    // Catch up on bars that formed while live updates were suspended
+    if (this.lastLoadedRange && this.lastLoadedRange.end < addBars(this.now(), this.interval, -1)) {
+      await this.loadDataForRange(this.lastLoadedRange.end, this.now(), true);
+    }
+
+    await this._subscribeToRealtime();
+
+    if (this.chart) {
+      this.chart.timeScale().scrollToRealTime();
+    }
+  }
+
+  /**
+   * Drop the replay state without touching the series or subscription. Bars
+   * loaded before a gap stepping never filled are dropped, so the data stays
+   * one unbroken range.
+   */
+  _clearBarReplay() {
+    if (!this.barReplay) return;
+
+    const { gap } = this.barReplay;
+    if (gap) {
+      this.data = this.data.filter((bar) => bar.time * 1000 >= gap.end);
+      if (this.lastLoadedRange) {
+        this.lastLoadedRange = { ...this.lastLoadedRange, start: gap.end };
+      }
+    }
+
+    clearTimeout(this.barReplay.timer);
+    this.barReplay = null;
+    this._notifyBarReplayChange();
+  }
+
+  /**
+   * Get the bar replay state for the controls
+   */
+  getBarReplayState() {
+    if (!this.barReplay) {
+      return { active: false, playing: false, time: null, speed: this.barReplaySpeed };
+    }
+
+    return {
+      active: true,
+      playing: this.barReplay.playing,
+      time: this.barReplay.time * 1000,
+      speed: this.barReplay.speed,
+    };
+  }
+
+  /**
+   * Tell the owner the bar replay state changed
+   */
+  _notifyBarReplayChange() {
+    if (this.onBarReplayChange) {
+      this.onBarReplayChange(this.getBarReplayState());
     }
   }
 
@@ -854,19 +1226,21 @@ export class ChartComponent {
    * Clean up resources
    */
   async destroy() {
+    // Cancel in-flight loads
+    if (this.loadController) {
+      this.loadController.abort();
+      this.loadController = null;
+    }
+
     // Clear timeouts
     if (this._timeRangeChangeTimeout) {
       clearTimeout(this._timeRangeChangeTimeout);
     }
 
+    this._clearBarReplay();
+
     // Unsubscribe from WebSocket
-    if (this.symbol && this.interval && this.realtimeCallback) {
-      await this.apiService.unsubscribeFromCandles(
-        this.symbol,
-        this.interval,
-        this.realtimeCallback
-      );
-    }
+    await this._unsubscribeFromRealtime();
 
     // Remove event listeners
     window.removeEventListener("resize", this.handleResize.bind(this));
@@ -882,8 +1256,8 @@ export class ChartComponent {
       this.chart = null;
     }
 
-    // Clear cache
-    this.dataCache.clear();
+    // Clear our entries from the shared cache
+    this.dataCache.deletePrefix("chart:");
   }
 }
 
@@ -3,22 +3,83 @@
  */
 
 /**
- * Load configuration from environment variables
+ * Fields each auth strategy needs
  */
-export function loadConfig() {
+const strategyRequiredFields = {
+  client_credentials: ["tokenBrokerUrl"],
+  static: ["staticToken"],
+  callback: ["tokenProvider"],
+  pkce: ["clientId", "authorizeUrl", "tokenUrl"],
+};
+
+/**
+ * Load configuration from environment variables.
+ * Options passed by a host application (e.g. tokenProvider) override them.
+ */
+export function loadConfig(overrides = {}) {
   const config = {
-    clientId: process.env.CLIENT_ID,
-    clientSecret: process.env.CLIENT_SECRET,
     referer: process.env.REFERER,
-    tokenUrl:
-      process.env.TOKEN_URL ||
-      "https://eightcap-embedded.auth.ap-northeast-1.amazoncognito.com/oauth2/token",
+    // One of: client_credentials, static, callback, pkce
+    authStrategy: process.env.AUTH_STRATEGY || "client_credentials",
+    // Client credentials live in the token broker (server/token-broker.mjs),
+    // never in the browser bundle
+    tokenBrokerUrl: process.env.TOKEN_BROKER_URL || "http://localhost:8787/token",
+    // Static bearer token for local tests
+    staticToken: process.env.STATIC_TOKEN,
+    // Authorization code with PKCE for end-user logins (public client, no secret)
+    clientId: process.env.PKCE_CLIENT_ID,
+    authorizeUrl: process.env.PKCE_AUTHORIZE_URL,
+    tokenUrl: process.env.PKCE_TOKEN_URL,
+    redirectUri: process.env.PKCE_REDIRECT_URI,
+    scope: process.env.PKCE_SCOPE,
+    // Share one token between open tabs instead of one request per tab
+    shareTokenAcrossTabs: process.env.SHARE_TOKEN_ACROSS_TABS !== "false",
+    // Keep candles in IndexedDB across page loads
+    persistCandles: process.env.PERSIST_CANDLES !== "false",
+    candleStoreMaxCandles: Number(process.env.CANDLE_STORE_MAX_CANDLES) || 500000,
+    // Candle requests allowed in flight at once when loading long ranges
+    maxConcurrentRequests: Number(process.env.MAX_CONCURRENT_REQUESTS) || 3,
+    // In-memory LRU cache budget, counted in "candles" or "bytes"
+    cacheBudgetUnit: process.env.CACHE_BUDGET_UNIT === "bytes" ? "bytes" : "candles",
+    cacheBudget:
+      Number(process.env.CACHE_BUDGET) ||
+      (process.env.CACHE_BUDGET_UNIT === "bytes" ? 64 * 1024 * 1024 : 1000000),
+    // Probe a WebSocket that has been silent this long, then reconnect if the
+    // probe goes unanswered
+    heartbeatTimeout: Number(process.env.WS_HEARTBEAT_TIMEOUT) || 45000,
+    probeTimeout: Number(process.env.WS_PROBE_TIMEOUT) || 5000,
+    // WebSocket reconnect backoff. A host app can ask to stop retrying while
+    // the tab is hidden.
+    reconnectBaseDelay: Number(process.env.WS_RECONNECT_BASE_DELAY) || 1000,
+    reconnectMaxDelay: Number(process.env.WS_RECONNECT_MAX_DELAY) || 30000,
+    pauseReconnectWhenHidden: process.env.WS_PAUSE_RECONNECT_WHEN_HIDDEN === "true",
+    // Apply realtime updates every this many ms instead of once per animation frame
+    realtimeFlushInterval: Number(process.env.REALTIME_FLUSH_INTERVAL) || 0,
+    // Give up on a WebSocket that hasn't opened after this many ms
+    wsConnectTimeout: Number(process.env.WS_CONNECT_TIMEOUT) || 10000,
+    // Realtime transports tried in order: websocket, sse, polling. SSE is
+    // skipped unless SSE_URL is set.
+    transports: process.env.REALTIME_TRANSPORTS
+      ? process.env.REALTIME_TRANSPORTS.split(",").map((name) => name.trim())
+      : undefined,
+    sseUrl: process.env.SSE_URL,
+    pollInterval: Number(process.env.POLL_INTERVAL) || 2000,
+    // Record REST responses and realtime messages for download, to reproduce
+    // reported glitches. A host app can pass { replaySession, replaySpeed } to
+    // play one back instead of using the network.
+    recordSession: process.env.RECORD_SESSION === "true",
+    replaySpeed: Number(process.env.REPLAY_SPEED) || 1,
     apiBaseUrl: process.env.API_BASE_URL || "https://api.embedded.eightcap.com",
     wsBaseUrl: process.env.WS_BASE_URL || "wss://quote.embedded.eightcap.com",
+    ...overrides,
   };
 
+  if (!strategyRequiredFields[config.authStrategy]) {
+    throw new Error(`Unknown auth strategy: ${config.authStrategy}`);
+  }
+
   // Validate required fields
-  const requiredFields = ["clientId", "clientSecret", "referer"];
+  const requiredFields = ["referer", ...strategyRequiredFields[config.authStrategy]];
   const missingFields = requiredFields.filter((field) => !config[field]);
 
   if (missingFields.length > 0) {
@@ -0,0 +1,88 @@
+/**
+ * Events emitted by ApiService
+ *
+ * connection:   { state, transport, attempts, nextRetryAt, paused }
+ * stale:        { symbol, width, stale }
+ * subscription: { action, symbol, width }
+ */
+export const ApiEvent = Object.freeze({
+  CONNECTION: "connection",
+  STALE: "stale",
+  SUBSCRIPTION: "subscription",
+});
+
+/**
+ * Live feed connection states
+ */
+export const ConnectionState = Object.freeze({
+  CONNECTING: "connecting", // Socket is being opened
+  OPEN: "open", // Connected and receiving data
+  STALE: "stale", // Connected, but the feed or a subscription has gone quiet
+  RECONNECTING: "reconnecting", // Lost, a retry is scheduled
+  DEAD: "dead", // Lost, and no retry will happen until something changes
+});
+
+/**
+ * Subscription actions
+ */
+export const SubscriptionAction = Object.freeze({
+  SUBSCRIBED: "subscribed", // Subscription sent to the server
+  ACKNOWLEDGED: "acknowledged", // First update received for it
+  UNSUBSCRIBED: "unsubscribed",
+});
+
+/**
+ * Minimal event emitter
+ */
+export class EventEmitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  /**
+   * Listen for an event type. Returns an unsubscribe function.
+   */
+  on(type, listener) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(listener);
+
+    return () => this.off(type, listener);
+  }
+
+  /**
+   * Stop listening for an event type
+   */
+  off(type, listener) {
+    const listeners = this.listeners.get(type);
+    if (listeners) {
+      listeners.delete(listener);
+    }
+  }
+
+  /**
+   * Call every listener of an event type
+   */
+  emit(type, event) {
+    const listeners = this.listeners.get(type);
+    if (!listeners) return;
+
+    listeners.forEach((listener) => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error(`❌ Error in ${type} listener:`, error);
+      }
+    });
+  }
+
+  /**
+   * Remove all listeners
+   */
+  clear() {
+    this.listeners.clear();
+  }
+}
+
+export default EventEmitter;
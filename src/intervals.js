@@ -0,0 +1,208 @@
+/**
+ * Calendar-aware bar math
+ *
+ * parseInterval() gives a fixed duration, which is wrong for months (28-31
+ * days) and, in a time zone with DST, for days and weeks (23 or 25 hours).
+ * These helpers follow the calendar instead: days start at midnight, weeks
+ * on Monday (ISO) and months on the 1st, in UTC or an optional IANA time
+ * zone such as "America/New_York". Minute and hour bars keep their fixed
+ * length, aligned to the wall clock.
+ *
+ * Multiples are aligned to the Unix epoch: 4h bars start at 00:00, 04:00...,
+ * 2d bars every other day from 1 Jan 1970 and 3mo bars on quarters.
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// 1 Jan 1970 was a Thursday, so the first Monday is day 4
+const FIRST_MONDAY = 4;
+
+const formatters = new Map();
+
+/**
+ * Parse an interval like 15m, 4h, 1d, 1w or 3mo into a unit and count.
+ * Anything else falls back to one day, like parseInterval().
+ */
+export function parseIntervalSpec(interval) {
+  const match = /^(\d+)(m|h|d|w|mo)$/.exec(typeof interval === "string" ? interval : "");
+  const value = match ? parseInt(match[1], 10) : 0;
+
+  if (!match || value <= 0) {
+    return { unit: "d", value: 1 };
+  }
+
+  return { unit: match[2], value };
+}
+
+/**
+ * Get a cached formatter reading wall-clock fields in a time zone
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+      })
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Get a time zone's offset from UTC at a moment, in milliseconds
+ */
+export function getTimeZoneOffset(timestamp, timeZone) {
+  if (!timeZone || timeZone === "UTC") return 0;
+
+  const fields = {};
+  getFormatter(timeZone)
+    .formatToParts(new Date(timestamp))
+    .forEach(({ type, value }) => {
+      fields[type] = Number(value);
+    });
+
+  const wallClock = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second);
+  const wholeSeconds = Math.floor(timestamp / 1000) * 1000;
+
+  return wallClock - wholeSeconds;
+}
+
+/**
+ * Convert a timestamp to wall-clock time, expressed as if it were UTC
+ */
+export function toWallClock(timestamp, timeZone) {
+  return timestamp + getTimeZoneOffset(timestamp, timeZone);
+}
+
+/**
+ * Convert wall-clock time back to a timestamp. A wall-clock time skipped by
+ * a DST change resolves to the moment after the gap.
+ */
+export function fromWallClock(local, timeZone) {
+  if (!timeZone || timeZone === "UTC") return local;
+
+  const offset = getTimeZoneOffset(local, timeZone);
+  const timestamp = local - offset;
+  const correctedOffset = getTimeZoneOffset(timestamp, timeZone);
+
+  return correctedOffset === offset ? timestamp : local - correctedOffset;
+}
+
+/**
+ * Get the month number (years * 12 + month) of a wall-clock time
+ */
+function getMonthNumber(local) {
+  const date = new Date(local);
+  return date.getUTCFullYear() * 12 + date.getUTCMonth();
+}
+
+/**
+ * Get the length of minute and hour bars, or null for calendar bars
+ */
+function getFixedDuration({ unit, value }) {
+  if (unit === "m") return value * MINUTE;
+  if (unit === "h") return value * HOUR;
+  return null;
+}
+
+/**
+ * Get the index of the calendar bar (days, weeks or months) containing a
+ * timestamp, counted from the epoch
+ */
+function getCalendarBarIndex(timestamp, { unit, value }, timeZone) {
+  const local = toWallClock(timestamp, timeZone);
+
+  switch (unit) {
+    case "d": return Math.floor(Math.floor(local / DAY) / value);
+    case "w": return Math.floor(Math.floor((Math.floor(local / DAY) - FIRST_MONDAY) / 7) / value);
+    case "mo": return Math.floor(getMonthNumber(local) / value);
+  }
+}
+
+/**
+ * Get the start of a calendar bar from its index
+ */
+function getCalendarBarStart(index, { unit, value }, timeZone) {
+  switch (unit) {
+    case "d": return fromWallClock(index * value * DAY, timeZone);
+    case "w": return fromWallClock((index * value * 7 + FIRST_MONDAY) * DAY, timeZone);
+    case "mo": {
+      const month = index * value;
+      return fromWallClock(Date.UTC(Math.floor(month / 12), month % 12, 1), timeZone);
+    }
+  }
+}
+
+/**
+ * Floor a timestamp to the start of its bar
+ */
+export function floorToBar(timestamp, interval, options = {}) {
+  const spec = parseIntervalSpec(interval);
+  const { timeZone } = options;
+  const duration = getFixedDuration(spec);
+
+  if (duration) {
+    // Measured on the wall clock, so an hour repeated by DST is two bars
+    const local = toWallClock(timestamp, timeZone);
+    return timestamp - (((local % duration) + duration) % duration);
+  }
+
+  return getCalendarBarStart(getCalendarBarIndex(timestamp, spec, timeZone), spec, timeZone);
+}
+
+/**
+ * Move a timestamp forward (or back, for a negative count) by whole bars.
+ * Minute and hour bars are fixed durations. Days, weeks and months keep the
+ * wall-clock time across DST, and months clamp the day, so 31 January plus
+ * one month is 29 February in a leap year.
+ */
+export function addBars(timestamp, interval, count, options = {}) {
+  const spec = parseIntervalSpec(interval);
+  const { timeZone } = options;
+  const duration = getFixedDuration(spec);
+
+  if (duration) {
+    return timestamp + count * duration;
+  }
+
+  const local = toWallClock(timestamp, timeZone);
+
+  switch (spec.unit) {
+    case "d": return fromWallClock(local + count * spec.value * DAY, timeZone);
+    case "w": return fromWallClock(local + count * spec.value * 7 * DAY, timeZone);
+    case "mo": {
+      const date = new Date(local);
+      const month = date.getUTCMonth() + count * spec.value;
+      const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), month + 1, 0)).getUTCDate();
+      date.setUTCFullYear(date.getUTCFullYear(), month, Math.min(date.getUTCDate(), daysInMonth));
+      return fromWallClock(date.getTime(), timeZone);
+    }
+  }
+}
+
+/**
+ * Count the bar boundaries between two timestamps, which is the number of
+ * bars in [start, end) when both are bar starts. Negative if end < start.
+ */
+export function countBars(start, end, interval, options = {}) {
+  const spec = parseIntervalSpec(interval);
+  const { timeZone } = options;
+  const duration = getFixedDuration(spec);
+
+  if (duration) {
+    const elapsed = floorToBar(end, interval, options) - floorToBar(start, interval, options);
+    return Math.round(elapsed / duration);
+  }
+
+  return getCalendarBarIndex(end, spec, timeZone) - getCalendarBarIndex(start, spec, timeZone);
+}
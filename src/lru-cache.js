@@ -0,0 +1,186 @@
+/**
+ * Least recently used cache with a size budget
+ *
+ * Entries are weighed with a sizeOf function (candle count or estimated bytes)
+ * and the least recently read entries are evicted once the total exceeds the
+ * budget. Hits, misses and evictions are counted for tuning.
+ */
+
+const BYTES_PER_CANDLE = 64; // Six numbers plus object overhead, roughly
+
+/**
+ * Get the candle array held by a cache value, if any
+ */
+function getCandleArray(value) {
+  if (Array.isArray(value)) return value;
+  if (value && Array.isArray(value.candles)) return value.candles;
+  if (value && Array.isArray(value.data)) return value.data;
+  return null;
+}
+
+/**
+ * Weigh a cache value by the number of candles it holds
+ */
+export function countCandles(value) {
+  const candles = getCandleArray(value);
+  return candles ? Math.max(candles.length, 1) : 1;
+}
+
+/**
+ * Weigh a cache value by its approximate memory footprint in bytes
+ */
+export function estimateBytes(value) {
+  const candles = getCandleArray(value);
+  if (candles) {
+    return Math.max(candles.length, 1) * BYTES_PER_CANDLE;
+  }
+
+  try {
+    return JSON.stringify(value).length * 2;
+  } catch (error) {
+    return BYTES_PER_CANDLE;
+  }
+}
+
+export class LruCache {
+  constructor(options = {}) {
+    this.maxSize = options.maxSize || 1000000;
+    this.sizeOf = options.sizeOf || countCandles;
+
+    // Map iteration order doubles as recency order, oldest first
+    this.entries = new Map();
+    this.size = 0;
+
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+
+    // Handler set by the owner, called with the key and value of each
+    // entry evicted for space
+    this.onEvict = null;
+  }
+
+  /**
+   * Read an entry and mark it as recently used
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      this.misses++;
+      return undefined;
+    }
+
+    this.hits++;
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    return entry.value;
+  }
+
+  /**
+   * Read an entry without touching recency or statistics
+   */
+  peek(key) {
+    const entry = this.entries.get(key);
+    return entry ? entry.value : undefined;
+  }
+
+  /**
+   * Check if an entry exists without touching recency or statistics
+   */
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  /**
+   * Store an entry, re-weighing it, and evict until within budget
+   */
+  set(key, value) {
+    this.delete(key);
+
+    const size = this.sizeOf(value);
+    this.entries.set(key, { value, size });
+    this.size += size;
+
+    this.evict(key);
+
+    return this;
+  }
+
+  /**
+   * Evict least recently used entries until the cache fits its budget.
+   * The entry just written is kept even if it alone exceeds the budget.
+   */
+  evict(keepKey) {
+    for (const [key, entry] of this.entries) {
+      if (this.size <= this.maxSize) break;
+      if (key === keepKey) continue;
+
+      this.entries.delete(key);
+      this.size -= entry.size;
+      this.evictions++;
+      console.log(`🧹 Evicted cache entry: ${key}`);
+
+      if (this.onEvict) {
+        this.onEvict(key, entry.value);
+      }
+    }
+  }
+
+  /**
+   * Remove an entry
+   */
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+
+    this.entries.delete(key);
+    this.size -= entry.size;
+
+    return true;
+  }
+
+  /**
+   * Get all keys, least recently used first
+   */
+  keys() {
+    return Array.from(this.entries.keys());
+  }
+
+  /**
+   * Remove every entry whose key starts with a prefix
+   */
+  deletePrefix(prefix) {
+    this.keys()
+      .filter((key) => key.startsWith(prefix))
+      .forEach((key) => this.delete(key));
+  }
+
+  /**
+   * Remove all entries
+   */
+  clear() {
+    this.entries.clear();
+    this.size = 0;
+  }
+
+  /**
+   * Get cache statistics
+   */
+  getStats() {
+    const lookups = this.hits + this.misses;
+
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions,
+      hitRate: lookups > 0 ? this.hits / lookups : 0,
+      entries: this.entries.size,
+      size: this.size,
+      maxSize: this.maxSize,
+    };
+  }
+}
+
+export default LruCache;
@@ -2,16 +2,41 @@ import { loadConfig } from "./config";
 import { AuthService } from "./auth";
 import { ApiService } from "./api";
 import { ChartComponent } from "./chart";
+import { ApiEvent, ConnectionState } from "./events";
+import { MarketState } from "./session-calendar";
+import { formatDuration } from "./utils";
+
+// Badge text per live feed state
+const CONNECTION_LABELS = {
+  [ConnectionState.CONNECTING]: "Connecting…",
+  [ConnectionState.OPEN]: "Live",
+  [ConnectionState.STALE]: "Live · delayed",
+  [ConnectionState.RECONNECTING]: "Offline · reconnecting",
+  [ConnectionState.DEAD]: "Offline",
+};
+
+// Badge text per market state
+const MARKET_LABELS = {
+  [MarketState.OPEN]: "Market open",
+  [MarketState.PRE_MARKET]: "Pre-market",
+  [MarketState.CLOSED]: "Market closed",
+};
 
 /**
  * Main application class
  */
 class TradingViewApp {
-  constructor() {
-    this.config = loadConfig();
+  constructor(options = {}) {
+    this.options = options;
+    this.config = null;
     this.authService = null;
     this.apiService = null;
     this.chart = null;
+    this.unsubscribeStale = null;
+    this.unsubscribeConnection = null;
+    this.reconnectCountdown = null;
+    this.marketStatusCountdown = null;
+    this.loadGeneration = 0; // Bumped by each load, the latest owns the spinner
     this.isInitialized = false;
   }
 
@@ -54,6 +79,7 @@ class TradingViewApp {
     const loadingIndicator = document.createElement("div");
     loadingIndicator.id = "loading-indicator";
     loadingIndicator.className = "loading-indicator";
+    loadingIndicator.dataset.message = message;
     loadingIndicator.textContent = message;
     document.body.appendChild(loadingIndicator);
 
@@ -70,13 +96,45 @@ class TradingViewApp {
     }
   }
 
+  /**
+   * Start a load that supersedes any still running, returning its generation
+   */
+  beginLoad(message) {
+    this.showLoading(message);
+    return ++this.loadGeneration;
+  }
+
+  /**
+   * Check if no newer load has started since this one
+   */
+  isLatestLoad(generation) {
+    return generation === this.loadGeneration;
+  }
+
+  /**
+   * Hide the loading indicator, unless a newer load is showing it
+   */
+  finishLoad(generation) {
+    if (this.isLatestLoad(generation)) {
+      this.hideLoading();
+    }
+  }
+
   /**
    * Initialize services
    */
   initServices() {
     try {
-      this.authService = new AuthService(this.config);
+      this.config = loadConfig(this.options);
+      // A replay answers every request from the recording, so no tokens
+      this.authService = this.config.replaySession ? null : new AuthService(this.config);
       this.apiService = new ApiService(this.authService, this.config);
+
+      // Reflect the live feed state in the header badge
+      this.unsubscribeConnection = this.apiService.on(ApiEvent.CONNECTION, (event) => {
+        this.renderConnectionStatus(event);
+      });
+
       return true;
     } catch (error) {
       console.error("Failed to initialize services:", error);
@@ -88,9 +146,8 @@ class TradingViewApp {
           <p>Required environment variables are missing.</p>
           <p>Please ensure you have a .env file with the following variables:</p>
           <pre style="background: #f5f5f5; padding: 10px; overflow: auto; text-align: left;">
-CLIENT_ID=your_client_id_here
-CLIENT_SECRET=your_client_secret_here
 REFERER=your_referer_value_here</pre>
+          <p>Client credentials belong to the token broker, not the browser build.</p>
         `
         );
       } else {
@@ -115,7 +172,26 @@ REFERER=your_referer_value_here</pre>
         throw new Error("Chart container element not found");
       }
 
-      this.chart = new ChartComponent(chartContainer, this.apiService);
+      this.chart = new ChartComponent(chartContainer, this.apiService, { now: this.apiService.now });
+
+      // Show chunked history loading progress in the loading indicator
+      this.chart.onLoadProgress = ({ completed, total }) => {
+        const loadingIndicator = document.getElementById("loading-indicator");
+        if (loadingIndicator && total > 1) {
+          const percent = Math.round((completed / total) * 100);
+          loadingIndicator.textContent = `${loadingIndicator.dataset.message} ${percent}%`;
+        }
+      };
+
+      // Keep the bar replay controls in step with the chart
+      this.chart.onBarReplayChange = (state) => {
+        this.renderBarReplayControls(state);
+      };
+
+      // Flag the chart when its live feed goes quiet
+      this.unsubscribeStale = this.apiService.onStaleChange(() => {
+        this.updateStaleIndicator();
+      });
 
       return true;
     } catch (error) {
@@ -143,9 +219,8 @@ REFERER=your_referer_value_here</pre>
       }
 
       // Handle symbol changes
+      // A change while loading cancels the superseded load
       symbolSelect.addEventListener("change", async (event) => {
-        if (this.chart.isLoading) return;
-
         const newSymbol = event.target.value;
         const currentInterval = this.getCurrentInterval(intervalButtons);
 
@@ -155,8 +230,6 @@ REFERER=your_referer_value_here</pre>
       // Handle interval changes
       intervalButtons.forEach((button) => {
         button.addEventListener("click", async () => {
-          if (this.chart.isLoading) return;
-
           const interval = button.getAttribute("data-interval");
 
           // Update UI immediately
@@ -167,6 +240,7 @@ REFERER=your_referer_value_here</pre>
 
           try {
             await this.chart.changeInterval(interval);
+            this.updateStaleIndicator();
           } catch (error) {
             console.error(`Error changing interval:`, error);
             this.showError(
@@ -193,6 +267,153 @@ REFERER=your_referer_value_here</pre>
     }
   }
 
+  /**
+   * Set up the bar replay start, play, step and speed controls
+   */
+  setupBarReplayControls() {
+    const startInput = document.getElementById("bar-replay-start");
+    const toggleButton = document.getElementById("bar-replay-toggle");
+    const playButton = document.getElementById("bar-replay-play");
+    const stepButton = document.getElementById("bar-replay-step");
+    const speedSelect = document.getElementById("bar-replay-speed");
+
+    if (!startInput || !toggleButton || !playButton || !stepButton || !speedSelect) return;
+
+    toggleButton.addEventListener("click", async () => {
+      try {
+        if (this.chart.getBarReplayState().active) {
+          await this.chart.stopBarReplay();
+          this.updateStaleIndicator();
+          return;
+        }
+
+        const startTime = new Date(startInput.value).getTime();
+        if (!startInput.value || Number.isNaN(startTime)) {
+          startInput.focus();
+          return;
+        }
+
+        this.chart.setBarReplaySpeed(Number(speedSelect.value));
+        await this.chart.startBarReplay(startTime);
+      } catch (error) {
+        console.error("Bar replay failed:", error);
+        this.showError("Bar Replay Failed", `Failed to start bar replay: ${error.message}`);
+      }
+    });
+
+    playButton.addEventListener("click", () => {
+      if (this.chart.getBarReplayState().playing) {
+        this.chart.pauseBarReplay();
+      } else {
+        this.chart.playBarReplay();
+      }
+    });
+
+    stepButton.addEventListener("click", () => {
+      this.chart.pauseBarReplay();
+      this.chart.stepBarReplay();
+    });
+
+    speedSelect.addEventListener("change", () => {
+      this.chart.setBarReplaySpeed(Number(speedSelect.value));
+    });
+  }
+
+  /**
+   * Reflect the bar replay state in its controls
+   */
+  renderBarReplayControls({ active, playing, time }) {
+    const startInput = document.getElementById("bar-replay-start");
+    const toggleButton = document.getElementById("bar-replay-toggle");
+    const playButton = document.getElementById("bar-replay-play");
+    const stepButton = document.getElementById("bar-replay-step");
+    if (!startInput || !toggleButton || !playButton || !stepButton) return;
+
+    toggleButton.textContent = active ? "⏹️ Exit replay" : "⏮️ Bar replay";
+    toggleButton.classList.toggle("active", active);
+    playButton.disabled = !active;
+    playButton.textContent = playing ? "⏸️" : "▶️";
+    playButton.title = playing ? "Pause" : "Play";
+    stepButton.disabled = !active;
+    startInput.disabled = active;
+
+    // Show the bar the replay has reached, in local time like the input
+    if (active && time) {
+      const date = new Date(time);
+      date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+      startInput.value = date.toISOString().slice(0, 16);
+    }
+  }
+
+  /**
+   * Add download and replay controls to the header when recording sessions
+   */
+  setupSessionControls() {
+    if (!this.config.recordSession && !this.config.replaySession) return;
+
+    const header = document.querySelector(".header");
+    if (!header || document.getElementById("session-controls")) return;
+
+    const controls = document.createElement("div");
+    controls.id = "session-controls";
+    controls.className = "session-controls";
+    controls.innerHTML = `
+      <button id="session-download" title="Download the recorded session">⏺️ Save session</button>
+      <select id="session-speed" title="Replay speed">
+        <option value="1">1x</option>
+        <option value="2">2x</option>
+        <option value="4">4x</option>
+        <option value="8">8x</option>
+      </select>
+      <label class="session-replay" title="Replay a saved session">
+        ⏯️ Replay
+        <input id="session-file" type="file" accept="application/json" hidden />
+      </label>
+    `;
+    header.appendChild(controls);
+
+    document.getElementById("session-download").addEventListener("click", () => {
+      try {
+        this.apiService.downloadRecording();
+      } catch (error) {
+        this.showError("Download Failed", error.message);
+      }
+    });
+
+    document.getElementById("session-file").addEventListener("change", async (event) => {
+      const file = event.target.files[0];
+      event.target.value = "";
+      if (!file) return;
+
+      try {
+        const session = JSON.parse(await file.text());
+        const speed = Number(document.getElementById("session-speed").value) || 1;
+        await this.startReplay(session, speed);
+      } catch (error) {
+        console.error("Failed to replay session:", error);
+        this.showError("Replay Failed", `Failed to replay session: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Rebuild the services and chart on top of a recorded session, then load
+   * the symbol shown in the header as the recording did
+   */
+  async startReplay(session, speed) {
+    this.cleanup();
+    this.options = { ...this.options, replaySession: session, replaySpeed: speed };
+
+    if (!this.initServices() || !this.initChart()) return;
+
+    const symbolSelect = document.getElementById("symbol-select");
+    const intervalButtons = document.querySelectorAll(".interval-selector button");
+    const interval = this.getCurrentInterval(intervalButtons);
+
+    await this.loadChart(symbolSelect.value, interval);
+    this.isInitialized = true;
+  }
+
   /**
    * Set active interval button
    */
@@ -216,19 +437,117 @@ REFERER=your_referer_value_here</pre>
     return activeButton ? activeButton.getAttribute("data-interval") : "1d";
   }
 
+  /**
+   * Render the live/offline badge, counting down to the next reconnect
+   */
+  renderConnectionStatus({ state, attempts, nextRetryAt }) {
+    const badge = document.getElementById("connection-status");
+    if (!badge) return;
+
+    this.stopReconnectCountdown();
+
+    badge.dataset.state = state;
+    badge.title = attempts > 0 ? `Reconnect attempt ${attempts}` : "";
+
+    if (state === ConnectionState.RECONNECTING && nextRetryAt) {
+      const updateCountdown = () => {
+        const seconds = Math.max(0, Math.ceil((nextRetryAt - Date.now()) / 1000));
+        badge.textContent = `Offline · retrying in ${seconds}s`;
+      };
+
+      updateCountdown();
+      this.reconnectCountdown = setInterval(updateCountdown, 1000);
+    } else {
+      badge.textContent = CONNECTION_LABELS[state] || state;
+    }
+  }
+
+  /**
+   * Stop updating the reconnect countdown
+   */
+  stopReconnectCountdown() {
+    if (this.reconnectCountdown) {
+      clearInterval(this.reconnectCountdown);
+      this.reconnectCountdown = null;
+    }
+  }
+
+  /**
+   * Show whether the chart's market is open, counting down to the next open
+   * or close while the page stays open
+   */
+  renderMarketStatus() {
+    const badge = document.getElementById("market-status");
+    if (!badge) return;
+
+    this.stopMarketStatusCountdown();
+
+    const updateStatus = () => {
+      const status = this.chart ? this.chart.getMarketStatus() : null;
+      badge.hidden = !status;
+      if (!status) return;
+
+      const { state, nextChange } = status;
+      const label = MARKET_LABELS[state] || state;
+      badge.dataset.state = state;
+
+      if (!nextChange) {
+        badge.textContent = state === MarketState.OPEN ? `${label} 24/7` : label;
+        badge.title = "";
+        return;
+      }
+
+      const verb = state === MarketState.OPEN ? "closes" : "opens";
+      badge.textContent = `${label} · ${verb} in ${formatDuration(nextChange - this.chart.now())}`;
+      badge.title = `${verb === "closes" ? "Closes" : "Opens"} ${new Date(nextChange).toLocaleString()}`;
+    };
+
+    updateStatus();
+    this.marketStatusCountdown = setInterval(updateStatus, 1000);
+  }
+
+  /**
+   * Stop updating the market status countdown
+   */
+  stopMarketStatusCountdown() {
+    if (this.marketStatusCountdown) {
+      clearInterval(this.marketStatusCountdown);
+      this.marketStatusCountdown = null;
+    }
+  }
+
+  /**
+   * Mark the chart when the price shown is not live
+   */
+  updateStaleIndicator() {
+    const chartContainer = document.getElementById("chart-container");
+    if (!chartContainer || !this.chart || !this.apiService) return;
+
+    const stale = this.apiService.isStale(this.chart.symbol, this.chart.interval);
+    chartContainer.classList.toggle("stale", stale);
+  }
+
   /**
    * Load chart with symbol and interval
    */
   async loadChart(symbol, interval) {
-    try {
-      this.showLoading(`Loading ${symbol}...`);
+    const generation = this.beginLoad(`Loading ${symbol}...`);
 
+    try {
       await this.chart.loadSymbol(symbol, interval);
 
-      this.hideLoading();
+      // A newer symbol or interval took over while this one loaded
+      if (!this.isLatestLoad(generation)) return;
+
+      this.updateStaleIndicator();
+      this.renderMarketStatus();
+
+      this.finishLoad(generation);
     } catch (error) {
       console.error(`Error loading symbol:`, error);
-      this.hideLoading();
+      if (!this.isLatestLoad(generation)) return;
+
+      this.finishLoad(generation);
       this.showError(
         "Chart Loading Failed",
         `Failed to load chart data: ${error.message}`
@@ -242,24 +561,27 @@ REFERER=your_referer_value_here</pre>
   async init() {
     if (this.isInitialized) return;
 
-    try {
-      this.showLoading("Initializing...");
+    const generation = this.beginLoad("Initializing...");
 
+    try {
       if (!this.initServices()) {
-        this.hideLoading();
+        this.finishLoad(generation);
         return;
       }
 
       if (!this.initChart()) {
-        this.hideLoading();
+        this.finishLoad(generation);
         return;
       }
 
       if (!this.setupEventListeners()) {
-        this.hideLoading();
+        this.finishLoad(generation);
         return;
       }
 
+      this.setupBarReplayControls();
+      this.setupSessionControls();
+
       // Load initial chart
       const symbolSelect = document.getElementById("symbol-select");
       const intervalButtons = document.querySelectorAll(
@@ -271,20 +593,27 @@ REFERER=your_referer_value_here</pre>
 
       try {
         await this.chart.loadSymbol(initialSymbol, initialInterval);
-        this.setActiveIntervalButton(intervalButtons, initialInterval);
         this.isInitialized = true;
+
+        // The user may have picked another symbol while the first one loaded
+        if (this.isLatestLoad(generation)) {
+          this.setActiveIntervalButton(intervalButtons, initialInterval);
+          this.renderMarketStatus();
+        }
       } catch (error) {
         console.error("Failed to load initial chart:", error);
-        this.showError(
-          "Chart Loading Failed",
-          `Failed to load initial chart: ${error.message}`
-        );
+        if (this.isLatestLoad(generation)) {
+          this.showError(
+            "Chart Loading Failed",
+            `Failed to load initial chart: ${error.message}`
+          );
+        }
       }
 
-      this.hideLoading();
+      this.finishLoad(generation);
     } catch (error) {
       console.error("Failed to initialize application:", error);
-      this.hideLoading();
+      this.finishLoad(generation);
       this.showError(
         "Initialization Failed",
         `Failed to initialize application: ${error.message}`
@@ -296,6 +625,19 @@ REFERER=your_referer_value_here</pre>
    * Clean up resources
    */
   cleanup() {
+    this.stopReconnectCountdown();
+    this.stopMarketStatusCountdown();
+
+    if (this.unsubscribeConnection) {
+      this.unsubscribeConnection();
+      this.unsubscribeConnection = null;
+    }
+
+    if (this.unsubscribeStale) {
+      this.unsubscribeStale();
+      this.unsubscribeStale = null;
+    }
+
     if (this.chart) {
       this.chart.destroy();
       this.chart = null;
@@ -316,7 +658,9 @@ REFERER=your_referer_value_here</pre>
 }
 
 // Initialize application when DOM is loaded
+// A host page can set window.tradingViewAppOptions, e.g. to supply
+// { authStrategy: "callback", tokenProvider } with its own session token
 document.addEventListener("DOMContentLoaded", () => {
-  const app = new TradingViewApp();
+  const app = new TradingViewApp(window.tradingViewAppOptions);
   app.init();
 });
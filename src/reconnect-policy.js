@@ -0,0 +1,189 @@
+/**
+ * WebSocket reconnect policy
+ *
+ * Retries for as long as it takes, with exponential backoff and jitter so
+ * many clients dropped at once don't reconnect in lockstep. The browser coming
+ * back online or the tab becoming visible again retries right away, and
+ * retries can be paused while the tab is hidden.
+ */
+export class ReconnectPolicy {
+  constructor(options = {}) {
+    this.baseDelay = options.baseDelay || 1000;
+    this.maxDelay = options.maxDelay || 30000;
+    this.jitter = options.jitter ?? 0.5; // Fraction of each delay that is randomized
+    this.pauseWhenHidden = !!options.pauseWhenHidden;
+
+    this.attempts = 0;
+    this.nextRetryAt = null;
+    this.timer = null;
+    this.paused = false;
+    this.reconnect = null;
+
+    // Called with getStatus() whenever a retry is scheduled or paused
+    this.onChange = null;
+
+    this.handleOnline = this.handleOnline.bind(this);
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+  }
+
+  /**
+   * Start listening for network and visibility changes
+   */
+  start(reconnect) {
+    this.reconnect = reconnect;
+
+    if (typeof window !== "undefined") {
+      window.addEventListener("online", this.handleOnline);
+    }
+    if (typeof document !== "undefined") {
+      document.addEventListener("visibilitychange", this.handleVisibilityChange);
+    }
+  }
+
+  /**
+   * Get the backoff delay for an attempt, before jitter is applied
+   */
+  getBaseDelay(attempt) {
+    return Math.min(this.baseDelay * Math.pow(2, attempt - 1), this.maxDelay);
+  }
+
+  /**
+   * Get a randomized delay for an attempt
+   */
+  getDelay(attempt) {
+    const delay = this.getBaseDelay(attempt);
+    return Math.round(delay * (1 - this.jitter * Math.random()));
+  }
+
+  /**
+   * Check if the tab is hidden
+   */
+  isHidden() {
+    return typeof document !== "undefined" && document.visibilityState === "hidden";
+  }
+
+  /**
+   * Check if a retry is waiting to happen
+   */
+  isPending() {
+    return this.timer !== null || this.paused;
+  }
+
+  /**
+   * Schedule the next reconnect attempt
+   */
+  schedule() {
+    this.cancel();
+    this.attempts++;
+
+    if (this.pauseWhenHidden && this.isHidden()) {
+      console.log("⏸️ Tab is hidden, reconnect paused until it is visible");
+      this.paused = true;
+      this.notifyChange();
+      return;
+    }
+
+    const delay = this.getDelay(this.attempts);
+    this.nextRetryAt = Date.now() + delay;
+    this.timer = setTimeout(() => this.retryNow(), delay);
+
+    console.log(`🔄 Will attempt to reconnect in ${delay}ms (attempt ${this.attempts})`);
+    this.notifyChange();
+  }
+
+  /**
+   * Skip the wait and reconnect now
+   */
+  retryNow() {
+    this.cancel();
+
+    if (this.reconnect) {
+      this.reconnect();
+    }
+  }
+
+  /**
+   * Cancel a scheduled or paused retry
+   */
+  cancel() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.nextRetryAt = null;
+    this.paused = false;
+  }
+
+  /**
+   * Forget past failures once a connection succeeds
+   */
+  reset() {
+    this.cancel();
+    this.attempts = 0;
+  }
+
+  /**
+   * Retry at once when the network comes back
+   */
+  handleOnline() {
+    if (!this.isPending()) return;
+
+    console.log("🌐 Network is back, reconnecting now");
+    this.retryNow();
+  }
+
+  /**
+   * Retry at once when the tab becomes visible, and pause while it is hidden
+   */
+  handleVisibilityChange() {
+    if (!this.isPending()) return;
+
+    if (!this.isHidden()) {
+      console.log("👀 Tab is visible again, reconnecting now");
+      this.retryNow();
+    } else if (this.pauseWhenHidden) {
+      console.log("⏸️ Tab is hidden, reconnect paused until it is visible");
+      this.cancel();
+      this.paused = true;
+      this.notifyChange();
+    }
+  }
+
+  /**
+   * Tell the owner about a new retry state
+   */
+  notifyChange() {
+    if (this.onChange) {
+      this.onChange(this.getStatus());
+    }
+  }
+
+  /**
+   * Get the retry state for the UI
+   */
+  getStatus() {
+    return {
+      attempts: this.attempts,
+      nextRetryAt: this.nextRetryAt,
+      paused: this.paused,
+    };
+  }
+
+  /**
+   * Stop retrying and remove listeners
+   */
+  stop() {
+    this.cancel();
+    this.reconnect = null;
+    this.onChange = null;
+
+    if (typeof window !== "undefined") {
+      window.removeEventListener("online", this.handleOnline);
+    }
+    if (typeof document !== "undefined") {
+      document.removeEventListener("visibilitychange", this.handleVisibilityChange);
+    }
+  }
+}
+
+export default ReconnectPolicy;
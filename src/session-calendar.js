@@ -0,0 +1,238 @@
+import { fromWallClock, toWallClock } from "./intervals";
+
+/**
+ * Exchange session calendar
+ *
+ * Answers when an instrument trades, from a weekly schedule in the exchange's
+ * time zone. Instruments describe it as
+ *
+ *   {
+ *     timeZone: "America/New_York",              // UTC if missing
+ *     market: [{ open: { day: 1, hour: 9, minute: 30 },
+ *                close: { day: 1, hour: 16, minute: 0 } }, ...],
+ *     holidays: ["2024-07-04", ...],             // Exchange-local dates
+ *     preMarketMinutes: 330,                     // Before the day's first open
+ *   }
+ *
+ * where day is 0 (Sunday) to 6. A day may have several sessions (a lunch
+ * break), and a session may close on a later day (FX from Sunday evening to
+ * Friday evening). A session without a close trades to the end of its day.
+ * A session is skipped when the day it opens is a holiday. Crypto, and
+ * instruments without a schedule, never close.
+ */
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// How far previousSession() and nextSession() look before giving up
+const MAX_SEARCH_DAYS = 60;
+
+// Pre-market length unless the instrument has its own: 04:00 to a 09:30 open
+const DEFAULT_PRE_MARKET_MINUTES = 330;
+
+/**
+ * Market states reported by getStatus()
+ */
+export const MarketState = {
+  OPEN: "open",
+  PRE_MARKET: "pre-market",
+  CLOSED: "closed",
+};
+
+/**
+ * Get minutes since midnight of a schedule time
+ */
+function toMinutes({ hour = 0, minute = 0 }) {
+  return hour * 60 + minute;
+}
+
+/**
+ * Get the YYYY-MM-DD date of a wall-clock time
+ */
+function toDateKey(local) {
+  return new Date(local).toISOString().slice(0, 10);
+}
+
+export class SessionCalendar {
+  constructor(options = {}) {
+    this.timeZone = options.timeZone || "UTC";
+    this.alwaysOpen = !!options.alwaysOpen;
+    this.holidays = new Set(options.holidays || []);
+    this.preMarketMinutes = options.preMarketMinutes ?? DEFAULT_PRE_MARKET_MINUTES;
+
+    // Weekly sessions as the weekday they open on and minutes from that
+    // day's midnight to the open and to the close
+    this.schedule = (options.sessions || [])
+      .filter((session) => session && session.open)
+      .map(({ open, close = { day: open.day, hour: 24 } }) => {
+        const openMinutes = toMinutes(open);
+        let days = (((close.day - open.day) % 7) + 7) % 7;
+        if (days === 0 && toMinutes(close) <= openMinutes) {
+          days = 7;
+        }
+
+        return {
+          day: open.day,
+          openMinutes,
+          closeMinutes: days * 24 * 60 + toMinutes(close),
+        };
+      });
+  }
+
+  /**
+   * Build the calendar for an instrument, or null without one
+   */
+  static fromInstrument(instrument) {
+    if (!instrument) return null;
+
+    const hasSchedule = Array.isArray(instrument.market) && instrument.market.length > 0;
+
+    return new SessionCalendar({
+      timeZone: instrument.timeZone || instrument.timezone,
+      sessions: hasSchedule ? instrument.market : [],
+      holidays: instrument.holidays,
+      preMarketMinutes: instrument.preMarketMinutes,
+      alwaysOpen: instrument.category === "Crypto" || !hasSchedule,
+    });
+  }
+
+  /**
+   * Get the sessions overlapping [start, end), as { open, close } timestamps
+   * in order. A market that never closes has one endless session.
+   */
+  getSessions(start, end) {
+    if (this.alwaysOpen) {
+      return [{ open: -Infinity, close: Infinity }];
+    }
+
+    const sessions = [];
+
+    // Sessions may run for up to a week, so start looking a week early
+    const firstDay = Math.floor(toWallClock(start, this.timeZone) / DAY) - 7;
+    const lastDay = Math.floor(toWallClock(end, this.timeZone) / DAY);
+
+    for (let day = firstDay; day <= lastDay; day++) {
+      const midnight = new Date(day * DAY);
+      if (this.holidays.has(toDateKey(midnight.getTime()))) continue;
+
+      this.schedule.forEach((session) => {
+        if (session.day !== midnight.getUTCDay()) return;
+
+        const open = fromWallClock(midnight.getTime() + session.openMinutes * MINUTE, this.timeZone);
+        const close = fromWallClock(midnight.getTime() + session.closeMinutes * MINUTE, this.timeZone);
+
+        if (close > start && open < end) {
+          sessions.push({ open, close });
+        }
+      });
+    }
+
+    return sessions.sort((a, b) => a.open - b.open);
+  }
+
+  /**
+   * Get the session trading at a moment, or null while closed
+   */
+  currentSession(timestamp) {
+    return this.getSessions(timestamp, timestamp + 1).find(
+      (session) => session.open <= timestamp && timestamp < session.close
+    ) || null;
+  }
+
+  /**
+   * Check if the market is open at a moment
+   */
+  isOpen(timestamp) {
+    return this.currentSession(timestamp) !== null;
+  }
+
+  /**
+   * Get the last session that closed at or before a moment, or null if the
+   * market never closes or none closed recently
+   */
+  previousSession(timestamp) {
+    if (this.alwaysOpen) return null;
+
+    for (let searched = 0; searched < MAX_SEARCH_DAYS; searched += 7) {
+      const windowEnd = timestamp - searched * DAY;
+      const closed = this.getSessions(windowEnd - 7 * DAY, windowEnd).filter(
+        (session) => session.close <= timestamp
+      );
+
+      if (closed.length > 0) {
+        return closed.reduce((latest, session) => (session.close > latest.close ? session : latest));
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the first session opening at or after a moment, or null if the
+   * market never closes or none opens soon
+   */
+  nextSession(timestamp) {
+    if (this.alwaysOpen) return null;
+
+    for (let searched = 0; searched < MAX_SEARCH_DAYS; searched += 7) {
+      const windowStart = timestamp + searched * DAY;
+      const upcoming = this.getSessions(windowStart, windowStart + 7 * DAY).filter(
+        (session) => session.open >= timestamp
+      );
+
+      if (upcoming.length > 0) {
+        return upcoming[0];
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the last close at or before a moment
+   */
+  previousClose(timestamp) {
+    const session = this.previousSession(timestamp);
+    return session ? session.close : null;
+  }
+
+  /**
+   * Get the next open at or after a moment
+   */
+  nextOpen(timestamp) {
+    const session = this.nextSession(timestamp);
+    return session ? session.open : null;
+  }
+
+  /**
+   * Get the market state at a moment and when it next changes: the close
+   * while open, the next open while closed, or null if neither is known.
+   * Closed counts as pre-market within preMarketMinutes of the next open,
+   * when that is later the same exchange day and none has closed yet that day.
+   */
+  getStatus(timestamp) {
+    if (this.alwaysOpen) {
+      return { state: MarketState.OPEN, nextChange: null };
+    }
+
+    const session = this.currentSession(timestamp);
+    if (session) {
+      return { state: MarketState.OPEN, nextChange: session.close };
+    }
+
+    const nextOpen = this.nextOpen(timestamp);
+    const previousClose = this.previousClose(timestamp);
+    const today = toDateKey(toWallClock(timestamp, this.timeZone));
+    const isToday = (other) => other !== null && toDateKey(toWallClock(other, this.timeZone)) === today;
+
+    const isPreMarket =
+      isToday(nextOpen) && !isToday(previousClose) && nextOpen - timestamp <= this.preMarketMinutes * MINUTE;
+
+    return {
+      state: isPreMarket ? MarketState.PRE_MARKET : MarketState.CLOSED,
+      nextChange: nextOpen,
+    };
+  }
+}
+
+export default SessionCalendar;
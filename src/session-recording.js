@@ -0,0 +1,241 @@
+import { createAbortError } from "./utils";
+
+/**
+ * Session recording and replay
+ *
+ * The recorder captures REST responses and realtime messages with their time
+ * since the session started. The replayer serves them back to ApiService, in
+ * place of the network, at 1x or faster, so a reported glitch can be
+ * reproduced through the same caching, merging and chart code. While
+ * replaying, the page clock runs from the recorded start time, so request
+ * windows computed from "now" match the recorded responses.
+ */
+
+const SESSION_VERSION = 1;
+
+/**
+ * Get a request's route: path plus symbol and width, ignoring the time range
+ * and referer, which differ between recording and replay
+ */
+function getRoute(url) {
+  const { pathname, searchParams } = new URL(url, "http://replay.local");
+  const symbol = searchParams.get("symbol");
+  const width = searchParams.get("width");
+
+  return [pathname, symbol, width].filter(Boolean).join(":");
+}
+
+export class SessionRecorder {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 50000;
+    this.startedAt = Date.now();
+    this.entries = [];
+    this.isRecording = true;
+  }
+
+  /**
+   * Add an entry, stopping once the session is full
+   */
+  add(entry) {
+    if (!this.isRecording) return;
+
+    if (this.entries.length >= this.maxEntries) {
+      console.warn(`⏺️ Session recording stopped after ${this.maxEntries} entries`);
+      this.isRecording = false;
+      return;
+    }
+
+    this.entries.push(entry);
+  }
+
+  /**
+   * Record a REST response. The body is read from a clone so the caller's
+   * response is left untouched.
+   */
+  async recordResponse(url, response, startedAt, duration) {
+    let body = null;
+
+    try {
+      body = JSON.parse(await response.text());
+    } catch (error) {
+      // Not JSON, keep the status only
+    }
+
+    this.add({
+      type: "rest",
+      at: startedAt - this.startedAt,
+      duration,
+      url,
+      status: response.status,
+      body,
+    });
+  }
+
+  /**
+   * Record a realtime candle message
+   */
+  recordMessage(data) {
+    this.add({ type: "message", at: Date.now() - this.startedAt, data });
+  }
+
+  /**
+   * Record an event for context, such as a connection state change.
+   * Events are not replayed.
+   */
+  recordEvent(name, details) {
+    this.add({ type: "event", at: Date.now() - this.startedAt, name, details });
+  }
+
+  /**
+   * Get the session as a plain object, entries in time order
+   */
+  toJSON() {
+    return {
+      version: SESSION_VERSION,
+      startedAt: this.startedAt,
+      userAgent: typeof navigator !== "undefined" ? navigator.userAgent : null,
+      entries: [...this.entries].sort((a, b) => a.at - b.at),
+    };
+  }
+
+  /**
+   * Save the session as a JSON file
+   */
+  download(filename = `session-${new Date(this.startedAt).toISOString()}.json`) {
+    const blob = new Blob([JSON.stringify(this.toJSON())], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    URL.revokeObjectURL(url);
+  }
+}
+
+export class SessionReplayer {
+  constructor(session, options = {}) {
+    if (!session || session.version !== SESSION_VERSION || !Array.isArray(session.entries)) {
+      throw new Error("Unsupported session recording");
+    }
+
+    this.speed = options.speed || 1;
+    this.startedAt = Date.now();
+    this.recordedStartedAt = session.startedAt;
+
+    // REST responses are served in recorded order per route
+    this.responses = new Map();
+    session.entries
+      .filter((entry) => entry.type === "rest")
+      .forEach((entry) => {
+        const route = getRoute(entry.url);
+        if (!this.responses.has(route)) {
+          this.responses.set(route, []);
+        }
+        this.responses.get(route).push(entry);
+      });
+    this.served = new Map();
+
+    this.messages = session.entries.filter((entry) => entry.type === "message");
+    this.nextMessage = 0;
+    this.messageTimer = null;
+
+    console.log(
+      `⏯️ Replaying session from ${new Date(session.startedAt).toISOString()} at ${this.speed}x`
+    );
+  }
+
+  /**
+   * Wait for a scaled delay, rejecting if the request is cancelled
+   */
+  wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(createAbortError());
+        return;
+      }
+
+      const timer = setTimeout(resolve, ms / this.speed);
+
+      if (signal) {
+        signal.addEventListener(
+          "abort",
+          () => {
+            clearTimeout(timer);
+            reject(createAbortError());
+          },
+          { once: true }
+        );
+      }
+    });
+  }
+
+  /**
+   * Answer a request with the next recorded response for its route. Once a
+   * route runs out, its last response is served again.
+   */
+  async fetch(url, options = {}) {
+    const route = getRoute(url);
+    const recorded = this.responses.get(route) || [];
+    const index = this.served.get(route) || 0;
+    const entry = recorded[Math.min(index, recorded.length - 1)];
+    this.served.set(route, index + 1);
+
+    if (!entry) {
+      console.warn(`⏯️ No recorded response for ${route}`);
+      return new Response(JSON.stringify({ error: "not_recorded" }), {
+        status: 404,
+        statusText: "Not Recorded",
+      });
+    }
+
+    // Keep the recorded latency, so responses race the way they did
+    await this.wait(entry.duration, options.signal);
+
+    return new Response(JSON.stringify(entry.body), {
+      status: entry.status,
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+
+  /**
+   * Get the replay clock: the recorded start time, advancing at the replay
+   * speed, so ranges computed from the current time ask for what was recorded
+   */
+  now() {
+    if (typeof this.recordedStartedAt !== "number") {
+      return Date.now();
+    }
+
+    return Math.floor(this.recordedStartedAt + (Date.now() - this.startedAt) * this.speed);
+  }
+
+  /**
+   * Deliver the remaining recorded messages at their scaled times.
+   * Returns a function that pauses delivery.
+   */
+  playMessages(onMessage) {
+    const scheduleNext = () => {
+      const entry = this.messages[this.nextMessage];
+      if (!entry) return;
+
+      const dueAt = this.startedAt + entry.at / this.speed;
+
+      this.messageTimer = setTimeout(() => {
+        this.nextMessage++;
+        onMessage(entry.data);
+        scheduleNext();
+      }, Math.max(0, dueAt - Date.now()));
+    };
+
+    scheduleNext();
+
+    return () => {
+      clearTimeout(this.messageTimer);
+      this.messageTimer = null;
+    };
+  }
+}
@@ -0,0 +1,236 @@
+/**
+ * Cross-tab token sharing
+ *
+ * Tabs share the current token through localStorage and talk over a
+ * BroadcastChannel. One tab holds a Web Lock and acts as leader: it is the
+ * only tab that requests tokens, and the lock passes to another tab when it
+ * closes.
+ */
+export class TokenSync {
+  constructor(name = "tradingview-auth") {
+    this.storageKey = `${name}:token`;
+    this.lockName = `${name}:leader`;
+    this.channel =
+      typeof BroadcastChannel !== "undefined" ? new BroadcastChannel(name) : null;
+    this.isLeader = false;
+    this.tokenWaiters = new Set();
+    this.releaseLeadership = null;
+    this.lockRequest = null;
+
+    // "pending" until the election says whether this tab leads or follows
+    this.election = "pending";
+    this.elected = new Promise((resolve) => {
+      this.resolveElection = resolve;
+    });
+
+    // Handlers set by AuthService
+    this.onToken = null;
+    this.onRefreshRequest = null;
+    this.onLeadershipAcquired = null;
+  }
+
+  /**
+   * Start listening to other tabs and join the leader election
+   */
+  start() {
+    if (this.channel) {
+      this.channel.onmessage = (event) => this.handleMessage(event.data);
+    }
+
+    // Without locks or a channel there is no one to coordinate with
+    if (!this.channel || typeof navigator === "undefined" || !navigator.locks) {
+      this.becomeLeader();
+      return;
+    }
+
+    // Try for the lock without queueing first, so a tab that doesn't get it
+    // knows straight away that it follows
+    navigator.locks
+      .request(this.lockName, { ifAvailable: true }, (lock) => {
+        if (lock) return this.holdLeadership();
+
+        this.settleElection("follower");
+        this.queueForLeadership();
+      })
+      .catch((error) => this.handleElectionError(error));
+  }
+
+  /**
+   * Wait in line for the lock, taking over when the leader tab closes
+   */
+  queueForLeadership() {
+    this.lockRequest = new AbortController();
+
+    navigator.locks
+      .request(this.lockName, { signal: this.lockRequest.signal }, () => this.holdLeadership())
+      .catch((error) => {
+        if (error.name !== "AbortError") {
+          this.handleElectionError(error);
+        }
+      });
+  }
+
+  /**
+   * Lead, holding the lock until this tab closes or stop() is called
+   */
+  holdLeadership() {
+    return new Promise((resolve) => {
+      this.releaseLeadership = resolve;
+      this.becomeLeader();
+    });
+  }
+
+  /**
+   * Lead on our own when the election itself fails
+   */
+  handleElectionError(error) {
+    console.error("❌ Token leader election failed:", error);
+    this.becomeLeader();
+  }
+
+  /**
+   * Record the election result and release anyone waiting for it
+   */
+  settleElection(result) {
+    this.election = result;
+    this.resolveElection(result);
+  }
+
+  /**
+   * Wait until this tab knows whether it leads or follows
+   */
+  whenElected() {
+    return this.elected;
+  }
+
+  /**
+   * Mark this tab as the one responsible for refreshing the token
+   */
+  becomeLeader() {
+    this.isLeader = true;
+    this.settleElection("leader");
+    console.log("👑 This tab now refreshes the shared token");
+
+    if (this.onLeadershipAcquired) {
+      this.onLeadershipAcquired();
+    }
+  }
+
+  /**
+   * Check if another tab is responsible for refreshing the token. False
+   * while the election is pending; see whenElected().
+   */
+  isFollower() {
+    return !!this.channel && this.election === "follower";
+  }
+
+  /**
+   * Handle a message from another tab
+   */
+  handleMessage(message) {
+    if (!message || !message.type) return;
+
+    switch (message.type) {
+      case "token":
+        this.resolveWaiters(message);
+        if (this.onToken) {
+          this.onToken(message.token, message.expiry);
+        }
+        break;
+      case "refresh-request":
+        if (this.isLeader && this.onRefreshRequest) {
+          this.onRefreshRequest(message.rejectedToken);
+        }
+        break;
+    }
+  }
+
+  /**
+   * Read the shared token from storage
+   */
+  read() {
+    try {
+      const stored = localStorage.getItem(this.storageKey);
+      return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Store a new token and announce it to the other tabs
+   */
+  publish(token, expiry) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify({ token, expiry }));
+    } catch (error) {
+      console.warn("Could not store shared token:", error.message);
+    }
+
+    const message = { type: "token", token, expiry };
+    this.resolveWaiters(message);
+
+    if (this.channel) {
+      this.channel.postMessage(message);
+    }
+  }
+
+  /**
+   * Ask the leader tab for a fresh token and wait for it to be announced
+   */
+  requestToken(rejectedToken, timeoutMs = 5000) {
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        resolve: (message) => {
+          clearTimeout(timer);
+          this.tokenWaiters.delete(waiter);
+          resolve(message);
+        },
+      };
+
+      const timer = setTimeout(() => {
+        this.tokenWaiters.delete(waiter);
+        reject(new Error("Timed out waiting for token from leader tab"));
+      }, timeoutMs);
+
+      this.tokenWaiters.add(waiter);
+      this.channel.postMessage({ type: "refresh-request", rejectedToken });
+    });
+  }
+
+  /**
+   * Hand a newly announced token to everyone waiting for one
+   */
+  resolveWaiters(message) {
+    this.tokenWaiters.forEach((waiter) => waiter.resolve(message));
+  }
+
+  /**
+   * Leave the election and stop listening to other tabs
+   */
+  stop() {
+    if (this.lockRequest) {
+      this.lockRequest.abort();
+      this.lockRequest = null;
+    }
+
+    if (this.releaseLeadership) {
+      this.releaseLeadership();
+      this.releaseLeadership = null;
+    }
+
+    if (this.channel) {
+      this.channel.close();
+      this.channel = null;
+    }
+
+    // Nobody waits forever on an election that won't finish
+    if (this.election === "pending") {
+      this.settleElection("stopped");
+    }
+
+    this.isLeader = false;
+  }
+}
+
+export default TokenSync;
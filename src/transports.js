@@ -0,0 +1,460 @@
+import { addBars } from "./intervals";
+
+/**
+ * Realtime transports
+ *
+ * Each transport delivers candle updates for a set of "SYMBOL@width" keys and
+ * implements:
+ *
+ *   connect(keys)   resolves once open, rejects if it cannot be opened
+ *   subscribe(key)  / unsubscribe(key)
+ *   probe()         asks the server for a sign of life, false if unsupported
+ *   isOpen()
+ *   close(reason)   closes without calling onClose
+ *
+ * and reports back through the handlers it was created with: onMessage(data)
+ * for each candle, onActivity() for any traffic at all, and onClose(reason)
+ * when an open transport is lost. ApiService owns reconnects, heartbeats and
+ * staleness on top.
+ */
+
+/**
+ * Append the subscribed keys and referer to a feed URL
+ */
+function buildFeedUrl(baseUrl, keys, referer) {
+  const queryParams = new URLSearchParams();
+
+  if (keys.length > 0) {
+    queryParams.append("symbols", keys.join(","));
+  }
+
+  // Add referer parameter if available
+  if (referer) {
+    queryParams.append("referer", referer);
+  }
+
+  return `${baseUrl}${queryParams.toString() ? `?${queryParams.toString()}` : ""}`;
+}
+
+/**
+ * Parse a JSON candle message
+ */
+function parseMessage(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    console.error("❌ Error processing realtime message:", error);
+    return null;
+  }
+}
+
+/**
+ * Raw WebSocket at ${wsBaseUrl}/candle. Subscriptions are sent as "KEY" and
+ * "-KEY", and the server's "ping" is answered with "pong". A socket that
+ * neither opens nor closes within connectTimeout ms (an upgrade swallowed by
+ * a proxy) is given up on, so the next transport gets its turn.
+ */
+export class WebSocketTransport {
+  constructor(options, handlers) {
+    this.name = "websocket";
+    this.url = `${options.wsBaseUrl}/candle`;
+    this.referer = options.referer;
+    this.connectTimeout = options.connectTimeout || 10000;
+    this.handlers = handlers;
+    this.ws = null;
+  }
+
+  static isSupported() {
+    return typeof WebSocket !== "undefined";
+  }
+
+  connect(keys) {
+    const url = buildFeedUrl(this.url, keys, this.referer);
+    console.log(`🔌 Connecting to WebSocket: ${url}`);
+
+    return new Promise((resolve, reject) => {
+      let opened = false;
+      this.ws = new WebSocket(url);
+
+      const timer = setTimeout(() => {
+        const reason = `WebSocket did not open within ${this.connectTimeout}ms`;
+        console.warn(`⌛ ${reason}`);
+        this.close(reason);
+        reject(new Error(reason));
+      }, this.connectTimeout);
+
+      this.ws.onopen = () => {
+        console.log("✅ WebSocket connection opened");
+        clearTimeout(timer);
+        opened = true;
+
+        // Re-subscribe to all active subscriptions
+        keys.forEach((key) => this.ws.send(key));
+
+        resolve();
+      };
+
+      this.ws.onmessage = (event) => {
+        this.handlers.onActivity();
+
+        // Answer to our own heartbeat probe
+        if (event.data === "pong") {
+          return;
+        }
+
+        // Handle ping messages
+        if (event.data === "ping") {
+          this.ws.send("pong");
+          console.log("📡 Received ping, sent pong");
+          return;
+        }
+
+        const data = parseMessage(event.data);
+        if (data) {
+          console.log("📡 WebSocket message received:", data);
+          this.handlers.onMessage(data);
+        }
+      };
+
+      this.ws.onerror = (error) => {
+        console.error("❌ WebSocket error:", error);
+      };
+
+      this.ws.onclose = (event) => {
+        const reason = `WebSocket closed: ${event.code} - ${event.reason}`;
+        clearTimeout(timer);
+        this.ws = null;
+
+        if (opened) {
+          this.handlers.onClose(reason);
+        } else {
+          reject(new Error(reason));
+        }
+      };
+    });
+  }
+
+  subscribe(key) {
+    this.ws.send(key);
+  }
+
+  unsubscribe(key) {
+    this.ws.send(`-${key}`);
+  }
+
+  probe() {
+    this.ws.send("ping");
+    return true;
+  }
+
+  isOpen() {
+    return !!this.ws && this.ws.readyState === WebSocket.OPEN;
+  }
+
+  close(reason = "Client closed") {
+    const ws = this.ws;
+    this.ws = null;
+    if (!ws) return;
+
+    // A half-open socket may fire its handlers late, so detach them first
+    ws.onopen = null;
+    ws.onmessage = null;
+    ws.onerror = null;
+    ws.onclose = null;
+    try {
+      ws.close(1000, reason);
+    } catch (error) {
+      // Socket is already unusable
+    }
+  }
+}
+
+/**
+ * Server-Sent Events stream of the same JSON messages, from an explicit
+ * sseUrl since not every API has one. EventSource cannot change its URL, so
+ * subscription changes reopen the stream with the new key list.
+ */
+export class SseTransport {
+  constructor(options, handlers) {
+    this.name = "sse";
+    this.url = options.sseUrl;
+    this.referer = options.referer;
+    this.handlers = handlers;
+    this.keys = new Set();
+    this.source = null;
+  }
+
+  static isSupported(options = {}) {
+    return typeof EventSource !== "undefined" && !!options.sseUrl;
+  }
+
+  connect(keys) {
+    this.keys = new Set(keys);
+    return this.open();
+  }
+
+  /**
+   * Open the stream for the current keys, replacing any previous one
+   */
+  open() {
+    this.close();
+
+    const url = buildFeedUrl(this.url, Array.from(this.keys), this.referer);
+    console.log(`🔌 Connecting to event stream: ${url}`);
+
+    return new Promise((resolve, reject) => {
+      let opened = false;
+      const source = new EventSource(url);
+      this.source = source;
+
+      source.onopen = () => {
+        console.log("✅ Event stream opened");
+        opened = true;
+        this.handlers.onActivity();
+        resolve();
+      };
+
+      source.onmessage = (event) => {
+        this.handlers.onActivity();
+
+        const data = parseMessage(event.data);
+        if (data) {
+          this.handlers.onMessage(data);
+        }
+      };
+
+      // Server heartbeats
+      source.addEventListener("ping", () => this.handlers.onActivity());
+
+      // EventSource retries on its own; reconnects are left to ApiService
+      source.onerror = () => {
+        if (this.source !== source) return;
+        this.close();
+
+        if (opened) {
+          this.handlers.onClose("Event stream closed");
+        } else {
+          reject(new Error("Event stream could not be opened"));
+        }
+      };
+    });
+  }
+
+  subscribe(key) {
+    if (this.keys.has(key)) return;
+    this.keys.add(key);
+    this.reopen();
+  }
+
+  unsubscribe(key) {
+    if (!this.keys.delete(key)) return;
+    this.reopen();
+  }
+
+  /**
+   * Reopen the stream after a subscription change
+   */
+  reopen() {
+    this.open().catch((error) => {
+      this.handlers.onClose(error.message);
+    });
+  }
+
+  probe() {
+    return false;
+  }
+
+  isOpen() {
+    return !!this.source && this.source.readyState === EventSource.OPEN;
+  }
+
+  close() {
+    if (this.source) {
+      this.source.close();
+      this.source = null;
+    }
+  }
+}
+
+/**
+ * REST polling of /candle with a short trailing window, for networks where
+ * neither WebSocket nor SSE get through. Only candles that changed since the
+ * last poll are reported.
+ */
+export class PollingTransport {
+  constructor(options, handlers) {
+    this.name = "polling";
+    this.fetchCandles = options.fetchCandles;
+    this.pollInterval = options.pollInterval || 2000;
+    this.trailingBars = 2; // The forming bar and the one that just closed
+    this.handlers = handlers;
+    this.keys = new Set();
+    this.lastSeen = new Map();
+    this.timer = null;
+    this.running = false;
+  }
+
+  static isSupported() {
+    return typeof fetch !== "undefined";
+  }
+
+  async connect(keys) {
+    this.keys = new Set(keys);
+    this.lastSeen.clear();
+
+    // The first round proves the API is reachable
+    await this.poll();
+
+    console.log(`✅ Polling /candle every ${this.pollInterval}ms`);
+    this.running = true;
+    this.scheduleNextPoll();
+  }
+
+  /**
+   * Fetch the trailing window for every key and report changed candles
+   */
+  async poll() {
+    const now = Date.now();
+
+    await Promise.all(
+      Array.from(this.keys).map(async (key) => {
+        const [symbol, width] = key.split("@");
+        const start = addBars(now, width, -this.trailingBars);
+        const candles = await this.fetchCandles(symbol, width, start, now);
+
+        if (!this.keys.has(key) || !Array.isArray(candles)) return;
+
+        const seen = this.lastSeen.get(key) || new Map();
+        const latest = new Map();
+
+        candles.forEach((candle) => {
+          const signature = `${candle.open}:${candle.high}:${candle.low}:${candle.close}:${candle.volume}`;
+          latest.set(candle.timestamp, signature);
+
+          if (seen.get(candle.timestamp) !== signature) {
+            this.handlers.onMessage({ ...candle, symbol, width });
+          }
+        });
+
+        this.lastSeen.set(key, latest);
+      })
+    );
+
+    this.handlers.onActivity();
+  }
+
+  /**
+   * Poll again after the interval, closing on the first failed round
+   */
+  scheduleNextPoll() {
+    this.timer = setTimeout(async () => {
+      try {
+        await this.poll();
+      } catch (error) {
+        if (!this.running) return;
+        this.close();
+        this.handlers.onClose(`Polling failed: ${error.message}`);
+        return;
+      }
+
+      if (this.running) {
+        this.scheduleNextPoll();
+      }
+    }, this.pollInterval);
+  }
+
+  subscribe(key) {
+    this.keys.add(key);
+  }
+
+  unsubscribe(key) {
+    this.keys.delete(key);
+    this.lastSeen.delete(key);
+  }
+
+  probe() {
+    return false;
+  }
+
+  isOpen() {
+    return this.running;
+  }
+
+  close() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+/**
+ * Messages from a recorded session, delivered by a SessionReplayer. A replay
+ * never goes quiet on its own, so probes are answered at once.
+ */
+export class ReplayTransport {
+  constructor(options, handlers) {
+    this.name = "replay";
+    this.replayer = options.replayer;
+    this.handlers = handlers;
+    this.stopPlayback = null;
+  }
+
+  static isSupported() {
+    return true;
+  }
+
+  async connect() {
+    this.stopPlayback = this.replayer.playMessages((data) => {
+      this.handlers.onActivity();
+      this.handlers.onMessage(data);
+    });
+  }
+
+  subscribe() {}
+
+  unsubscribe() {}
+
+  probe() {
+    this.handlers.onActivity();
+    return true;
+  }
+
+  isOpen() {
+    return this.stopPlayback !== null;
+  }
+
+  close() {
+    if (this.stopPlayback) {
+      this.stopPlayback();
+      this.stopPlayback = null;
+    }
+  }
+}
+
+const transports = {
+  websocket: WebSocketTransport,
+  sse: SseTransport,
+  polling: PollingTransport,
+  replay: ReplayTransport,
+};
+
+/**
+ * Default order transports are tried in
+ */
+export const DEFAULT_TRANSPORTS = ["websocket", "sse", "polling"];
+
+/**
+ * Create a transport by name, or null if this browser or configuration
+ * cannot use it
+ */
+export function createTransport(name, options, handlers) {
+  const Transport = transports[name];
+
+  if (!Transport) {
+    throw new Error(`Unknown realtime transport: ${name}`);
+  }
+
+  return Transport.isSupported(options) ? new Transport(options, handlers) : null;
+}
@@ -1,5 +1,8 @@
+import { addBars, countBars } from "./intervals";
+
 /**
- * Parses interval string into milliseconds
+ * Parses interval string into milliseconds. Months count as 30 days, so use
+ * the helpers in intervals.js for range math.
  */
 export function parseInterval(interval) {
   if (!interval || typeof interval !== "string") {
@@ -23,6 +26,20 @@ export function parseInterval(interval) {
   }
 }
 
+/**
+ * Create the error thrown when a request is cancelled
+ */
+export function createAbortError() {
+  return new DOMException("The operation was aborted", "AbortError");
+}
+
+/**
+ * Check if an error comes from a cancelled request
+ */
+export function isAbortError(error) {
+  return !!error && error.name === "AbortError";
+}
+
 /**
  * Format price with precision based on value
  */
@@ -97,6 +114,29 @@ export function formatDate(timestamp, interval) {
   }
 }
 
+/**
+ * Format a duration in milliseconds as its two largest units, e.g. 1d 14h,
+ * 3h 12m or 42m 10s
+ */
+export function formatDuration(duration) {
+  const totalSeconds = Math.max(0, Math.floor(duration / 1000));
+  const parts = [
+    [Math.floor(totalSeconds / 86400), "d"],
+    [Math.floor(totalSeconds / 3600) % 24, "h"],
+    [Math.floor(totalSeconds / 60) % 60, "m"],
+    [totalSeconds % 60, "s"],
+  ];
+
+  const first = parts.findIndex(([value]) => value > 0);
+  if (first === -1) return "0s";
+
+  return parts
+    .slice(first, first + 2)
+    .filter(([value]) => value > 0)
+    .map(([value, unit]) => `${value}${unit}`)
+    .join(" ");
+}
+
 /**
  * Formats candle data from API to the format required by TradingView
  */
@@ -189,14 +229,66 @@ export function mergeCandles(existingData, newData) {
 }
 
 /**
- * Calculate optimal data range for a given viewport
+ * Maximum number of bars to ask the API for in a single request
+ */
+export function getMaxBarsPerRequest(interval) {
+  if (interval === '1m') return 2000;
+  if (['5m', '15m', '30m'].includes(interval)) return 1500;
+  return 1000;
+}
+
+/**
+ * Split a time range into consecutive chunks of at most maxBars bars
+ */
+export function splitRange(start, end, interval, maxBars = getMaxBarsPerRequest(interval)) {
+  const chunks = [];
+
+  for (let chunkStart = start; chunkStart < end; ) {
+    const chunkEnd = Math.min(addBars(chunkStart, interval, maxBars), end);
+    chunks.push({ start: chunkStart, end: chunkEnd });
+    chunkStart = chunkEnd;
+  }
+
+  return chunks.length > 0 ? chunks : [{ start, end }];
+}
+
+/**
+ * Create a limiter that runs at most `concurrency` async tasks at once.
+ * Returns a function that queues a task and resolves with its result.
  */
-export function calculateDataRange(interval, start, end) {
-  const intervalMs = parseInterval(interval);
+export function createLimiter(concurrency) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) return;
+
+    const { task, resolve, reject } = queue.shift();
+    active++;
+
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (task) =>
+    new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      next();
+    });
+}
 
-  // Calculate visible bars
-  const viewportDuration = end - start;
-  const visibleBars = Math.ceil(viewportDuration / intervalMs);
+/**
+ * Calculate optimal data range for a given viewport. Bars follow the
+ * calendar in options.timeZone, UTC by default.
+ */
+export function calculateDataRange(interval, start, end, options = {}) {
+  // Calculate visible bars, counting partly visible ones
+  const visibleBars = end > start ? countBars(start, end - 1, interval, options) + 1 : 0;
 
   // Adjust padding based on interval type
   let paddingFactor;
@@ -220,16 +312,8 @@ export function calculateDataRange(interval, start, end) {
   );
 
   // Calculate optimal range with padding
-  const optimalStart = start - intervalMs * padding;
-  const optimalEnd = end + intervalMs * padding;
-  
-  // Cap the limit to a reasonable number based on interval
-  const maxLimit = 
-    interval === '1m' ? 2000 : 
-    ['5m', '15m', '30m'].includes(interval) ? 1500 : 
-    1000;
-  
-  const limit = Math.min(visibleBars + padding * 2, maxLimit);
+  const optimalStart = addBars(start, interval, -padding, options);
+  const optimalEnd = addBars(end, interval, padding, options);
 
   console.log(`🔢 Calculated data range for ${interval}:`, {
     visibleBars,
@@ -237,15 +321,13 @@ export function calculateDataRange(interval, start, end) {
     paddingFactor,
     requestedRange: {
       start: new Date(optimalStart).toISOString(),
-      end: new Date(optimalEnd).toISOString(),
-      bars: limit
+      end: new Date(optimalEnd).toISOString()
     }
   });
 
   return {
     start: optimalStart,
-    end: optimalEnd,
-    limit
+    end: optimalEnd
   };
 }
 
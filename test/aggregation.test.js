@@ -0,0 +1,160 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { CandleAggregator, aggregateCandles, getBaseWidth, isNativeWidth } from "../src/aggregation";
+import { ApiService } from "../src/api";
+
+const MINUTE = 60 * 1000;
+
+// Wednesday 13 March 2024, 15:00 UTC
+const NOW = Date.UTC(2024, 2, 13, 15, 0);
+
+/**
+ * Build a native candle
+ */
+function candle(timestamp, open, high, low, close, volume = 1) {
+  return { timestamp, open, high, low, close, volume };
+}
+
+describe("timeframe aggregation", () => {
+  it.each([
+    ["1m", "1m"],
+    ["3m", "1m"],
+    ["10m", "5m"],
+    ["45m", "15m"],
+    ["3h", "1h"],
+    ["6h", "2h"],
+    ["36h", "12h"],
+    ["2d", "1d"],
+    ["2w", "1w"],
+    ["3mo", "1mo"],
+    ["bogus", null],
+    [undefined, null],
+  ])("builds %s from %s", (width, expected) => {
+    expect(getBaseWidth(width)).toBe(expected);
+  });
+
+  it.each([
+    ["1h", true],
+    ["1mo", true],
+    ["3m", false],
+  ])("knows whether %s is native", (width, expected) => {
+    expect(isNativeWidth(width)).toBe(expected);
+  });
+
+  it("rolls up open, high, low, close and volume per bar", () => {
+    const candles = [
+      candle(NOW + 3 * MINUTE, 13, 15, 12, 14, 4),
+      candle(NOW, 10, 11, 9, 10.5, 1),
+      candle(NOW + MINUTE, 10.5, 12, 8, 11, 2),
+      candle(NOW + 2 * MINUTE, 11, 11.5, 10, 13, 3),
+    ];
+
+    expect(aggregateCandles(candles, "3m")).toEqual([
+      candle(NOW, 10, 12, 8, 13, 6),
+      candle(NOW + 3 * MINUTE, 13, 15, 12, 14, 4),
+    ]);
+  });
+
+  it.each([
+    ["2d", Date.UTC(2024, 2, 12), [Date.UTC(2024, 2, 12), Date.UTC(2024, 2, 13)], Date.UTC(2024, 2, 12)],
+    ["3mo", Date.UTC(2024, 0, 1), [Date.UTC(2024, 1, 1), Date.UTC(2024, 2, 1)], Date.UTC(2024, 0, 1)],
+  ])("aligns %s bars to the calendar", (width, _start, timestamps, expected) => {
+    const aggregated = aggregateCandles(timestamps.map((timestamp) => candle(timestamp, 1, 2, 0, 1)), width);
+
+    expect(aggregated).toEqual([candle(expected, 1, 2, 0, 1, 2)]);
+  });
+
+  it("updates the forming bar from live native updates, counting each native bar once", () => {
+    const aggregator = new CandleAggregator("3m");
+    aggregator.seed([candle(NOW, 10, 11, 9, 10.5, 1)]);
+
+    // The second native bar forms, then updates
+    expect(aggregator.update({ ...candle(NOW + MINUTE, 10.5, 12, 10, 11, 2), symbol: "BTCUSD", width: "1m" })).toEqual({
+      ...candle(NOW, 10, 12, 9, 11, 3),
+      symbol: "BTCUSD",
+      width: "3m",
+    });
+    expect(aggregator.update(candle(NOW + MINUTE, 10.5, 12.5, 7, 12, 5))).toMatchObject(
+      candle(NOW, 10, 12.5, 7, 12, 6)
+    );
+
+    // The next bar opens with only its own native bar
+    expect(aggregator.update(candle(NOW + 3 * MINUTE, 12, 13, 11, 12.5, 1))).toMatchObject(
+      candle(NOW + 3 * MINUTE, 12, 13, 11, 12.5, 1)
+    );
+
+    // A late final value for the previous bar still lands there
+    expect(aggregator.update(candle(NOW + 2 * MINUTE, 12, 14, 11, 13, 2))).toMatchObject(
+      candle(NOW, 10, 14, 7, 13, 8)
+    );
+
+    // Bars older than that are dropped
+    expect(aggregator.update(candle(NOW - 3 * MINUTE, 1, 1, 1, 1))).toBeNull();
+  });
+
+  describe("through ApiService", () => {
+    let api;
+
+    beforeEach(() => {
+      vi.useFakeTimers();
+      vi.setSystemTime(NOW + 5 * MINUTE);
+      vi.spyOn(console, "log").mockImplementation(() => {});
+
+      api = new ApiService({}, { realtimeFlushInterval: 100, persistCandles: false });
+      vi.spyOn(api, "connect").mockResolvedValue({ isOpen: () => false });
+    });
+
+    afterEach(() => {
+      api.cleanup();
+      vi.useRealTimers();
+      vi.restoreAllMocks();
+    });
+
+    it("fetches whole custom bars from the native width", async () => {
+      const fetchNative = vi
+        .spyOn(api, "_fetchMissingCandles")
+        .mockResolvedValue([candle(NOW, 1, 2, 0.5, 1.5), candle(NOW + MINUTE, 1.5, 3, 1, 2)]);
+
+      const candles = await api.fetchCandles("BTCUSD", "3m", { start: NOW + MINUTE, end: NOW + 4 * MINUTE });
+
+      // From the start of the first 3m bar to now, inside the last one
+      expect(fetchNative).toHaveBeenCalledWith("BTCUSD", "1m", NOW, NOW + 5 * MINUTE, undefined, undefined);
+      expect(candles).toEqual([candle(NOW, 1, 3, 0.5, 2, 2)]);
+    });
+
+    it("caps the native range at one request, in whole custom bars", async () => {
+      const fetchNative = vi.spyOn(api, "_fetchMissingCandles").mockResolvedValue([]);
+
+      await api.fetchCandles("BTCUSD", "3m", { start: NOW - 10000 * MINUTE, end: NOW + 4 * MINUTE });
+
+      // 2000 1m bars back from now is NOW - 1995m, so the first whole 3m bar after it
+      expect(fetchNative).toHaveBeenCalledWith("BTCUSD", "1m", NOW - 1992 * MINUTE, NOW + 5 * MINUTE, undefined, undefined);
+    });
+
+    it("builds live custom bars from the native subscription", async () => {
+      const callback = vi.fn();
+      api.candleCache.add("BTCUSD", "1m", NOW + 3 * MINUTE, NOW + 4 * MINUTE, [
+        candle(NOW + 3 * MINUTE, 10, 11, 9, 10.5, 1),
+      ]);
+
+      await api.subscribeToCandles("BTCUSD", "3m", callback);
+
+      expect(api.subscriptions.has("BTCUSD@1m")).toBe(true);
+      expect(api.subscriptions.has("BTCUSD@3m")).toBe(false);
+
+      api.handleRealtimeMessage({ ...candle(NOW + 5 * MINUTE, 10.5, 12, 10, 11, 2), symbol: "BTCUSD", width: "1m" });
+      vi.advanceTimersByTime(100);
+
+      expect(callback).toHaveBeenCalledWith({
+        ...candle(NOW + 3 * MINUTE, 10, 12, 9, 11, 3),
+        symbol: "BTCUSD",
+        width: "3m",
+      });
+      expect(api.isStale("BTCUSD", "3m")).toBe(false);
+
+      await api.unsubscribeFromCandles("BTCUSD", "3m", callback);
+
+      expect(api.subscriptions.has("BTCUSD@1m")).toBe(false);
+      expect(api.aggregatedSubscriptions.size).toBe(0);
+    });
+  });
+});
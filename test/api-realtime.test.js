@@ -0,0 +1,308 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { ApiService } from "../src/api";
+import { ApiEvent, SubscriptionAction } from "../src/events";
+
+/**
+ * Build a live candle message
+ */
+function message(timestamp, close) {
+  return { symbol: "BTCUSD", width: "1m", timestamp, open: 1, high: close, low: 1, close };
+}
+
+describe("ApiService realtime coalescing", () => {
+  let api;
+  let callback;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, "log").mockImplementation(() => {});
+
+    api = new ApiService({}, { realtimeFlushInterval: 100, persistCandles: false });
+    callback = vi.fn();
+    api.subscriptions.set("BTCUSD@1m", new Set([callback]));
+  });
+
+  afterEach(() => {
+    api.cleanup();
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it("applies only the latest update per bar once per flush", () => {
+    api.handleRealtimeMessage(message(60000, 10));
+    api.handleRealtimeMessage(message(60000, 11));
+    api.handleRealtimeMessage(message(60000, 12));
+
+    expect(callback).not.toHaveBeenCalled();
+
+    vi.advanceTimersByTime(100);
+
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(callback).toHaveBeenCalledWith(message(60000, 12));
+  });
+
+  it("keeps the final values of a bar that closed between flushes", () => {
+    api.handleRealtimeMessage(message(60000, 10));
+    api.handleRealtimeMessage(message(60000, 13));
+    api.handleRealtimeMessage(message(120000, 14));
+
+    vi.advanceTimersByTime(100);
+
+    expect(callback.mock.calls.map(([candle]) => [candle.timestamp, candle.close])).toEqual([
+      [60000, 13],
+      [120000, 14],
+    ]);
+  });
+
+  it("drops queued updates for a key that was unsubscribed", async () => {
+    api.handleRealtimeMessage(message(60000, 10));
+    await api.unsubscribeFromCandles("BTCUSD", "1m");
+
+    vi.advanceTimersByTime(100);
+
+    expect(callback).not.toHaveBeenCalled();
+  });
+});
+
+describe("ApiService stale feed detection", () => {
+  const MINUTE = 60 * 1000;
+
+  // Saturday 16 March 2024, 12:00 UTC
+  const SATURDAY = Date.UTC(2024, 2, 16, 12, 0);
+
+  // Monday to Friday, 13:30 to 20:00 UTC
+  const STOCK = {
+    symbol: "AAPL",
+    category: "Stocks",
+    market: [1, 2, 3, 4, 5].map((day) => ({
+      open: { day, hour: 13, minute: 30 },
+      close: { day, hour: 20, minute: 0 },
+    })),
+  };
+
+  let api;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(SATURDAY);
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+
+    api = new ApiService({}, { persistCandles: false });
+    api.transport = { name: "fake", isOpen: () => true, probe: () => true, close: () => {} };
+    api.cache.set("instrument:AAPL", STOCK);
+    api.cache.set("instrument:BTCUSD", { symbol: "BTCUSD", category: "Crypto", market: [] });
+
+    ["AAPL@1m", "BTCUSD@1m"].forEach((key) => {
+      api.subscriptions.set(key, new Set([vi.fn()]));
+      api.lastUpdateAt.set(key, SATURDAY);
+    });
+  });
+
+  afterEach(() => {
+    api.transport = null;
+    api.cleanup();
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  /**
+   * Let time pass with the connection alive but no updates, then check
+   */
+  function silence(duration) {
+    vi.setSystemTime(Date.now() + duration);
+    api.lastMessageAt = Date.now();
+    api._checkHeartbeat();
+  }
+
+  it("does not flag a quiet feed while its market is closed", () => {
+    silence(10 * MINUTE);
+
+    expect(api.isStale("AAPL", "1m")).toBe(false);
+    expect(api.isStale("BTCUSD", "1m")).toBe(true);
+  });
+
+  it("keeps the market hours of an instrument evicted from the cache", async () => {
+    vi.spyOn(api, "_authorizedFetch").mockResolvedValue(
+      new Response(JSON.stringify({ ...STOCK, symbol: "MSFT" }), { status: 200 })
+    );
+    api.subscriptions.set("MSFT@1m", new Set([vi.fn()]));
+    api.lastUpdateAt.set("MSFT@1m", SATURDAY);
+
+    // MSFT's calendar is built when it is fetched, AAPL's at the first check
+    await api.fetchInstrument("MSFT");
+    silence(MINUTE);
+
+    api.cache.delete("instrument:MSFT");
+    api.cache.delete("instrument:AAPL");
+    silence(10 * MINUTE);
+
+    expect(api.isStale("MSFT", "1m")).toBe(false);
+    expect(api.isStale("AAPL", "1m")).toBe(false);
+    expect(api.isStale("BTCUSD", "1m")).toBe(true);
+  });
+
+  it("measures silence from the open once the market opens", () => {
+    // Monday, half a minute before the 13:30 open
+    silence(Date.UTC(2024, 2, 18, 13, 29, 30) - SATURDAY);
+    expect(api.isStale("AAPL", "1m")).toBe(false);
+
+    // 45s of silence, 15s of it with the market open
+    silence(45 * 1000);
+    expect(api.isStale("AAPL", "1m")).toBe(false);
+
+    silence(30 * 1000);
+    expect(api.isStale("AAPL", "1m")).toBe(true);
+  });
+});
+
+describe("ApiService reconnect backfill", () => {
+  const MINUTE = 60 * 1000;
+  const KEY = "BTCUSD@1m";
+
+  // Wednesday 13 March 2024, 15:00 UTC
+  const NOW = Date.UTC(2024, 2, 13, 15, 0);
+
+  let api;
+  let callback;
+  let onBackfill;
+  let delivered;
+  let finishFetch;
+
+  beforeEach(async () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(NOW);
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "error").mockImplementation(() => {});
+
+    api = new ApiService({}, { realtimeFlushInterval: 100, persistCandles: false });
+    vi.spyOn(api, "connect").mockResolvedValue({ isOpen: () => false });
+
+    // Each REST fetch waits for the test, then caches a bar per minute
+    vi.spyOn(api, "_fetchCandleRange").mockImplementation(
+      (symbol, width, start, end) =>
+        new Promise((resolve, reject) => {
+          finishFetch = (error) => {
+            if (error) {
+              reject(error);
+              return;
+            }
+            const candles = [];
+            for (let timestamp = start; timestamp < end; timestamp += MINUTE) {
+              candles.push({ timestamp, open: 1, high: 2, low: 0.5, close: 1.5, volume: 1 });
+            }
+            api.candleCache.add(symbol, width, start, end, candles);
+            resolve(candles);
+          };
+        })
+    );
+
+    // Backfilled and live candles in the order subscribers get them
+    delivered = [];
+    callback = vi.fn((candle) => delivered.push(["live", candle.timestamp, candle.close]));
+    onBackfill = vi.fn((candles) => delivered.push(["backfill", candles.map((candle) => candle.timestamp)]));
+
+    // Connected once, the last bar the chart has is five minutes old
+    await api.subscribeToCandles("BTCUSD", "1m", callback, { onBackfill, lastTimestamp: NOW - 5 * MINUTE });
+    api._handleOpen([KEY]);
+  });
+
+  afterEach(() => {
+    api.cleanup();
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  /**
+   * Reopen the feed after a drop and wait for its backfill to ask for the gap
+   */
+  async function reconnect() {
+    api._handleOpen([KEY]);
+    const backfill = api.backfills.get(KEY);
+    await vi.advanceTimersByTimeAsync(0);
+    return { backfill };
+  }
+
+  it("fetches the gap from the last bar received", async () => {
+    const { backfill } = await reconnect();
+    finishFetch();
+    await backfill;
+
+    expect(api._fetchCandleRange).toHaveBeenCalledWith("BTCUSD", "1m", NOW - 5 * MINUTE, NOW);
+    expect(onBackfill).toHaveBeenCalledWith(
+      [5, 4, 3, 2, 1].map((minutes) => expect.objectContaining({ timestamp: NOW - minutes * MINUTE }))
+    );
+  });
+
+  it("holds live updates until the backfill is delivered, then applies them in order", async () => {
+    const { backfill } = await reconnect();
+
+    api.handleRealtimeMessage(message(NOW, 10));
+    api.handleRealtimeMessage(message(NOW + MINUTE, 11));
+    vi.advanceTimersByTime(100);
+
+    expect(callback).not.toHaveBeenCalled();
+
+    finishFetch();
+    await backfill;
+    vi.advanceTimersByTime(100);
+
+    expect(delivered).toEqual([
+      ["backfill", [1, 2, 3, 4, 5].map((minutes) => NOW - (6 - minutes) * MINUTE)],
+      ["live", NOW, 10],
+      ["live", NOW + MINUTE, 11],
+    ]);
+  });
+
+  it("still applies the held updates when the backfill fails", async () => {
+    const { backfill } = await reconnect();
+
+    api.handleRealtimeMessage(message(NOW, 10));
+    finishFetch(new Error("Network down"));
+    await backfill;
+    vi.advanceTimersByTime(100);
+
+    expect(onBackfill).not.toHaveBeenCalled();
+    expect(delivered).toEqual([["live", NOW, 10]]);
+    expect(api.backfillBuffers.has(KEY)).toBe(false);
+  });
+});
+
+describe("ApiService subscription events", () => {
+  let api;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, "log").mockImplementation(() => {});
+
+    // Polling opens without a server when the latest candles come back empty
+    api = new ApiService({}, { transports: ["polling"], pollInterval: 60000, persistCandles: false });
+    vi.spyOn(api, "_fetchLatestCandles").mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    api.cleanup();
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it("reports and sends each subscription once", async () => {
+    const subscribed = [];
+    api.on(ApiEvent.SUBSCRIPTION, (event) => {
+      if (event.action === SubscriptionAction.SUBSCRIBED) {
+        subscribed.push(`${event.symbol}@${event.width}`);
+      }
+    });
+
+    // The first subscription opens the feed with its key
+    await api.subscribeToCandles("BTCUSD", "1m", vi.fn());
+    const subscribe = vi.spyOn(api.transport, "subscribe");
+
+    // A second callback for it, and a new key on the open feed
+    await api.subscribeToCandles("BTCUSD", "1m", vi.fn());
+    await api.subscribeToCandles("ETHUSD", "1m", vi.fn());
+
+    expect(subscribed).toEqual(["BTCUSD@1m", "ETHUSD@1m"]);
+    expect(subscribe.mock.calls).toEqual([["ETHUSD@1m"]]);
+  });
+});
@@ -0,0 +1,187 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { ApiService } from "../src/api";
+import { AuthError, AuthService } from "../src/auth";
+import { isAbortError } from "../src/utils";
+
+const MINUTE = 60 * 1000;
+
+// Wednesday 13 March 2024, 15:00 UTC
+const NOW = Date.UTC(2024, 2, 13, 15, 0);
+
+const RANGE = { start: NOW - 120 * MINUTE, end: NOW - 60 * MINUTE };
+
+describe("ApiService shared requests", () => {
+  let api;
+  let requests;
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    vi.setSystemTime(NOW);
+    vi.spyOn(console, "log").mockImplementation(() => {});
+
+    // Each network request waits until the test answers it
+    requests = [];
+    api = new ApiService({}, { apiBaseUrl: "https://api.test", persistCandles: false });
+    vi.spyOn(api, "_authorizedFetch").mockImplementation(
+      (url, { signal }) =>
+        new Promise((resolve, reject) => {
+          const request = {
+            signal,
+            respond: (candles) => resolve({ ok: true, json: async () => candles }),
+          };
+          signal.addEventListener("abort", () => reject(new DOMException("Aborted", "AbortError")));
+          requests.push(request);
+        })
+    );
+  });
+
+  afterEach(() => {
+    api.cleanup();
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  /**
+   * Start fetching RANGE with its own abort controller
+   */
+  function fetchRange() {
+    const controller = new AbortController();
+    const promise = api.fetchCandles("BTCUSD", "1m", { ...RANGE, signal: controller.signal });
+    // Observed by the test, never reported as unhandled
+    promise.catch(() => {});
+    return { controller, promise };
+  }
+
+  it("keeps the shared fetch going when one of two callers cancels", async () => {
+    const first = fetchRange();
+    const second = fetchRange();
+    await vi.waitFor(() => expect(requests).toHaveLength(1));
+
+    first.controller.abort();
+
+    await expect(first.promise).rejects.toSatisfy(isAbortError);
+    expect(requests[0].signal.aborted).toBe(false);
+
+    requests[0].respond([{ timestamp: RANGE.start, open: 1, high: 2, low: 0.5, close: 1.5, volume: 1 }]);
+
+    await expect(second.promise).resolves.toHaveLength(1);
+    expect(requests).toHaveLength(1);
+  });
+
+  it("aborts the shared fetch when the last caller cancels", async () => {
+    const first = fetchRange();
+    const second = fetchRange();
+    await vi.waitFor(() => expect(requests).toHaveLength(1));
+
+    first.controller.abort();
+    second.controller.abort();
+
+    await expect(first.promise).rejects.toSatisfy(isAbortError);
+    await expect(second.promise).rejects.toSatisfy(isAbortError);
+    expect(requests[0].signal.aborted).toBe(true);
+  });
+});
+
+describe("ApiService token refresh", () => {
+  let auth;
+  let api;
+  let tokenProvider;
+  let acceptedToken;
+
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    vi.spyOn(console, "error").mockImplementation(() => {});
+
+    // The host hands out token-1, token-2, ... and the API takes only one
+    let issued = 0;
+    tokenProvider = vi.fn(async () => `token-${++issued}`);
+    acceptedToken = "token-2";
+
+    vi.stubGlobal(
+      "fetch",
+      vi.fn(async (url, { headers }) =>
+        headers.Authorization === `Bearer ${acceptedToken}`
+          ? new Response(JSON.stringify({ symbol: url.split("/").pop() }), { status: 200 })
+          : new Response("{}", { status: 401, statusText: "Unauthorized" })
+      )
+    );
+
+    auth = new AuthService({ authStrategy: "callback", tokenProvider });
+    api = new ApiService(auth, { apiBaseUrl: "https://api.test", persistCandles: false });
+  });
+
+  afterEach(() => {
+    api.cleanup();
+    auth.cleanup();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  /**
+   * The bearer token each request was sent with
+   */
+  function sentTokens() {
+    return fetch.mock.calls.map(([, { headers }]) => headers.Authorization.replace(/^Bearer /, ""));
+  }
+
+  it("shares one token refresh between concurrent rejected requests", async () => {
+    await auth.getToken();
+
+    const instruments = await Promise.all([api.fetchInstrument("AAPL"), api.fetchInstrument("MSFT")]);
+
+    expect(instruments).toEqual([{ symbol: "AAPL" }, { symbol: "MSFT" }]);
+    expect(sentTokens()).toEqual(["token-1", "token-1", "token-2", "token-2"]);
+    expect(tokenProvider).toHaveBeenCalledTimes(2);
+  });
+
+  it("retries a rejected request with the refreshed token", async () => {
+    expect(await api.fetchInstrument("AAPL")).toEqual({ symbol: "AAPL" });
+
+    expect(sentTokens()).toEqual(["token-1", "token-2"]);
+  });
+
+  it("gives up with an AuthError when the refreshed token is rejected too", async () => {
+    acceptedToken = null;
+
+    const error = await api.fetchInstrument("AAPL").catch((rejection) => rejection);
+
+    expect(error).toBeInstanceOf(AuthError);
+    expect(error.status).toBe(401);
+    expect(sentTokens()).toEqual(["token-1", "token-2"]);
+    expect(tokenProvider).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("ApiService cache statistics", () => {
+  let api;
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    vi.setSystemTime(NOW);
+    vi.spyOn(console, "log").mockImplementation(() => {});
+
+    api = new ApiService({}, { apiBaseUrl: "https://api.test", persistCandles: false });
+    vi.spyOn(api, "_authorizedFetch").mockImplementation(async () => new Response("[]", { status: 200 }));
+  });
+
+  afterEach(() => {
+    api.cleanup();
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it("counts a request fetched in several chunks as one lookup", async () => {
+    const range = { start: NOW - 5060 * MINUTE, end: NOW - 60 * MINUTE };
+
+    await api.fetchCandles("BTCUSD", "1m", range);
+
+    expect(api._authorizedFetch).toHaveBeenCalledTimes(3);
+    expect(api.getCacheStats()).toMatchObject({ hits: 0, misses: 1 });
+
+    await api.fetchCandles("BTCUSD", "1m", range);
+
+    expect(api._authorizedFetch).toHaveBeenCalledTimes(3);
+    expect(api.getCacheStats()).toMatchObject({ hits: 1, misses: 1 });
+  });
+});
@@ -0,0 +1,93 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { AuthError, AuthService } from "../src/auth";
+import { PkceStrategy, createAuthStrategy } from "../src/auth-strategies";
+
+describe("auth strategies", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it.each([
+    ["client_credentials", { tokenBrokerUrl: "https://broker.test/token" }],
+    ["static", { staticToken: "fixed" }],
+    ["callback", { tokenProvider: async () => "token" }],
+    ["pkce", { clientId: "chart", authorizeUrl: "https://auth.test/authorize", tokenUrl: "https://auth.test/token" }],
+  ])("creates the %s strategy by name", (name, config) => {
+    expect(createAuthStrategy({ authStrategy: name, ...config }).name).toBe(name);
+  });
+
+  it("throws for an unknown strategy", () => {
+    expect(() => createAuthStrategy({ authStrategy: "magic" })).toThrow("Unknown auth strategy: magic");
+  });
+
+  it("raises an AuthError once a static token is rejected, having nothing to refresh to", async () => {
+    const auth = new AuthService({ authStrategy: "static", staticToken: "fixed" });
+
+    expect(await auth.getToken()).toBe("fixed");
+    await expect(auth.refreshToken("fixed")).rejects.toBeInstanceOf(AuthError);
+
+    auth.cleanup();
+  });
+
+  it.each([
+    ["a token string", ["first", "second"], 5 * 60],
+    ["a token and expiry", [{ token: "first", expiresIn: 60 * 60 }, { token: "second", expiresIn: 60 * 60 }], 60 * 60],
+  ])("asks the host's token provider again on refresh, given %s", async (_name, results, expiresIn) => {
+    const tokenProvider = vi.fn();
+    results.forEach((result) => tokenProvider.mockResolvedValueOnce(result));
+    const auth = new AuthService({ authStrategy: "callback", tokenProvider });
+
+    expect(await auth.getToken()).toBe("first");
+    expect(await auth.refreshToken("first")).toBe("second");
+    expect(tokenProvider).toHaveBeenCalledTimes(2);
+    expect(auth.tokenExpiry - Date.now()).toBeCloseTo(expiresIn * 1000, -3);
+
+    auth.cleanup();
+  });
+
+  it("rejects a token provider that returns nothing", async () => {
+    const strategy = createAuthStrategy({ authStrategy: "callback", tokenProvider: async () => null });
+
+    await expect(strategy.requestToken()).rejects.toBeInstanceOf(AuthError);
+  });
+
+  it("exchanges the code and verifier on return from sign-in and strips the code from the URL", async () => {
+    sessionStorage.setItem("tradingview-pkce", JSON.stringify({ verifier: "verifier-1", state: "state-1" }));
+    window.history.replaceState(null, "", "/chart?code=code-1&state=state-1");
+
+    const fetchToken = vi.fn(async () =>
+      new Response(JSON.stringify({ access_token: "access-1", expires_in: 3600, refresh_token: "refresh-1" }), {
+        status: 200,
+      })
+    );
+    vi.stubGlobal("fetch", fetchToken);
+
+    const strategy = new PkceStrategy({
+      clientId: "chart",
+      authorizeUrl: "https://auth.test/authorize",
+      tokenUrl: "https://auth.test/token",
+    });
+
+    expect(await strategy.requestToken()).toEqual({ token: "access-1", expiresIn: 3600 });
+
+    const [url, { body }] = fetchToken.mock.calls[0];
+    expect(url).toBe("https://auth.test/token");
+    expect(Object.fromEntries(body)).toEqual({
+      grant_type: "authorization_code",
+      code: "code-1",
+      code_verifier: "verifier-1",
+      redirect_uri: `${window.location.origin}/chart`,
+      client_id: "chart",
+    });
+    expect(window.location.search).toBe("");
+    expect(sessionStorage.getItem("tradingview-pkce")).toBeNull();
+    expect(strategy.refreshToken).toBe("refresh-1");
+  });
+});
@@ -0,0 +1,163 @@
+import { describe, it, expect } from "vitest";
+import { CandleCache, subtractRanges } from "../src/candle-cache";
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Build hourly candles for [start, end]
+ */
+function hourlyCandles(start, end, close = 1) {
+  const candles = [];
+  for (let timestamp = start; timestamp <= end; timestamp += HOUR) {
+    candles.push({ timestamp, open: close, high: close, low: close, close, volume: 0 });
+  }
+  return candles;
+}
+
+describe("CandleCache", () => {
+  it.each([
+    {
+      name: "overlapping",
+      first: [0, 10 * HOUR],
+      second: [5 * HOUR, 15 * HOUR],
+      ranges: [{ start: 0, end: 15 * HOUR }],
+      candles: 16,
+    },
+    {
+      name: "adjacent",
+      first: [0, 10 * HOUR],
+      second: [10 * HOUR, 20 * HOUR],
+      ranges: [{ start: 0, end: 20 * HOUR }],
+      candles: 21,
+    },
+    {
+      name: "disjoint",
+      first: [0, 10 * HOUR],
+      second: [20 * HOUR, 30 * HOUR],
+      ranges: [
+        { start: 0, end: 10 * HOUR },
+        { start: 20 * HOUR, end: 30 * HOUR },
+      ],
+      candles: 22,
+    },
+    {
+      name: "contained",
+      first: [0, 30 * HOUR],
+      second: [10 * HOUR, 20 * HOUR],
+      ranges: [{ start: 0, end: 30 * HOUR }],
+      candles: 31,
+    },
+  ])("merges $name ranges into one sorted series", ({ first, second, ranges, candles }) => {
+    const cache = new CandleCache();
+
+    // Add in reverse order to check sorting
+    cache.add("BTCUSD", "1h", second[0], second[1], hourlyCandles(second[0], second[1]));
+    cache.add("BTCUSD", "1h", first[0], first[1], hourlyCandles(first[0], first[1]));
+
+    expect(cache.getRanges("BTCUSD", "1h")).toEqual(ranges);
+
+    const stored = cache.getCandles("BTCUSD", "1h");
+    expect(stored).toHaveLength(candles);
+    expect(stored.map((c) => c.timestamp)).toEqual(
+      [...stored.map((c) => c.timestamp)].sort((a, b) => a - b)
+    );
+  });
+
+  it.each([
+    { name: "inside the first fetch", start: 2 * HOUR, end: 4 * HOUR, covered: true, count: 3 },
+    { name: "spanning both overlapping fetches", start: 8 * HOUR, end: 14 * HOUR, covered: true, count: 7 },
+    { name: "at the exact merged bounds", start: 0, end: 15 * HOUR, covered: true, count: 16 },
+    { name: "past the merged end", start: 10 * HOUR, end: 16 * HOUR, covered: false },
+    { name: "in the disjoint gap", start: 17 * HOUR, end: 19 * HOUR, covered: false },
+    { name: "across the disjoint gap", start: 14 * HOUR, end: 21 * HOUR, covered: false },
+    { name: "inside the disjoint fetch", start: 21 * HOUR, end: 22 * HOUR, covered: true, count: 2 },
+  ])("answers a window $name", ({ start, end, covered, count }) => {
+    const cache = new CandleCache();
+    cache.add("AAPL", "1h", 0, 10 * HOUR, hourlyCandles(0, 10 * HOUR));
+    cache.add("AAPL", "1h", 5 * HOUR, 15 * HOUR, hourlyCandles(5 * HOUR, 15 * HOUR));
+    cache.add("AAPL", "1h", 20 * HOUR, 25 * HOUR, hourlyCandles(20 * HOUR, 25 * HOUR));
+
+    expect(cache.isCovered("AAPL", "1h", start, end)).toBe(covered);
+
+    if (covered) {
+      const slice = cache.slice("AAPL", "1h", start, end);
+      expect(slice).toHaveLength(count);
+      expect(slice[0].timestamp).toBeGreaterThanOrEqual(start);
+      expect(slice[slice.length - 1].timestamp).toBeLessThanOrEqual(end);
+    }
+  });
+
+  it("keeps the newest values when fetches overlap", () => {
+    const cache = new CandleCache();
+    cache.add("ETHUSD", "1h", 0, 4 * HOUR, hourlyCandles(0, 4 * HOUR, 1));
+    cache.add("ETHUSD", "1h", 2 * HOUR, 6 * HOUR, hourlyCandles(2 * HOUR, 6 * HOUR, 2));
+
+    const closes = cache.slice("ETHUSD", "1h", 0, 6 * HOUR).map((c) => c.close);
+    expect(closes).toEqual([1, 1, 2, 2, 2, 2, 2]);
+  });
+
+  it("ignores candles outside the fetched range", () => {
+    const cache = new CandleCache();
+    cache.add("MSFT", "1h", 2 * HOUR, 4 * HOUR, hourlyCandles(0, 6 * HOUR));
+
+    expect(cache.getCandles("MSFT", "1h").map((c) => c.timestamp)).toEqual([
+      2 * HOUR,
+      3 * HOUR,
+      4 * HOUR,
+    ]);
+  });
+
+  it("keeps symbols and widths separate", () => {
+    const cache = new CandleCache();
+    cache.add("BTCUSD", "1h", 0, 4 * HOUR, hourlyCandles(0, 4 * HOUR));
+
+    expect(cache.isCovered("BTCUSD", "1d", 0, 4 * HOUR)).toBe(false);
+    expect(cache.isCovered("ETHUSD", "1h", 0, 4 * HOUR)).toBe(false);
+    expect(cache.slice("ETHUSD", "1h", 0, 4 * HOUR)).toEqual([]);
+  });
+
+  it.each([
+    { name: "an uncached window", start: 40 * HOUR, end: 50 * HOUR, missing: [[40 * HOUR, 50 * HOUR]] },
+    { name: "a covered window", start: 2 * HOUR, end: 8 * HOUR, missing: [] },
+    { name: "a window overlapping the start", start: -5 * HOUR, end: 5 * HOUR, missing: [[-5 * HOUR, 0]] },
+    { name: "a window overlapping the end", start: 25 * HOUR, end: 35 * HOUR, missing: [[30 * HOUR, 35 * HOUR]] },
+    {
+      name: "a window spanning the gap",
+      start: 5 * HOUR,
+      end: 25 * HOUR,
+      missing: [[10 * HOUR, 20 * HOUR]],
+    },
+    {
+      name: "a window around everything",
+      start: -10 * HOUR,
+      end: 40 * HOUR,
+      missing: [
+        [-10 * HOUR, 0],
+        [10 * HOUR, 20 * HOUR],
+        [30 * HOUR, 40 * HOUR],
+      ],
+    },
+  ])("finds the missing parts of $name", ({ start, end, missing }) => {
+    const cache = new CandleCache();
+    cache.add("CADCHF", "1h", 0, 10 * HOUR, hourlyCandles(0, 10 * HOUR));
+    cache.add("CADCHF", "1h", 20 * HOUR, 30 * HOUR, hourlyCandles(20 * HOUR, 30 * HOUR));
+
+    expect(cache.getMissingRanges("CADCHF", "1h", start, end)).toEqual(
+      missing.map(([gapStart, gapEnd]) => ({ start: gapStart, end: gapEnd }))
+    );
+  });
+
+  it("subtracts unsorted and overlapping ranges", () => {
+    expect(
+      subtractRanges(0, 100, [
+        { start: 60, end: 70 },
+        { start: 10, end: 30 },
+        { start: 20, end: 40 },
+      ])
+    ).toEqual([
+      { start: 0, end: 10 },
+      { start: 40, end: 60 },
+      { start: 70, end: 100 },
+    ]);
+  });
+});
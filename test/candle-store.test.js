@@ -0,0 +1,137 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { IDBFactory } from "fake-indexeddb";
+import { CandleStore } from "../src/candle-store";
+import { ApiService } from "../src/api";
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Wednesday 13 March 2024, 15:00 UTC
+const NOW = Date.UTC(2024, 2, 13, 15, 0);
+
+/**
+ * One-minute candles from start (inclusive) to end (exclusive)
+ */
+function minuteCandles(start, end) {
+  const candles = [];
+  for (let timestamp = start; timestamp < end; timestamp += MINUTE) {
+    candles.push({ timestamp, open: 1, high: 2, low: 0.5, close: 1.5, volume: 1 });
+  }
+  return candles;
+}
+
+describe("CandleStore", () => {
+  let store;
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    vi.setSystemTime(NOW);
+    vi.spyOn(console, "log").mockImplementation(() => {});
+
+    // A fresh database per test
+    vi.stubGlobal("indexedDB", new IDBFactory());
+    store = new CandleStore();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it("round-trips candles, trusting only bars that have closed", async () => {
+    const start = NOW - 10 * MINUTE;
+    await store.save("BTCUSD", "1m", minuteCandles(start, NOW + MINUTE), [{ start, end: NOW }]);
+
+    const stored = await store.load("BTCUSD", "1m");
+
+    // The bar forming now is fetched again next time
+    expect(stored.ranges).toEqual([{ start, end: NOW - MINUTE }]);
+    expect(stored.candles.map((candle) => candle.timestamp)).toEqual(
+      minuteCandles(start, NOW).map((candle) => candle.timestamp)
+    );
+    expect(await store.load("ETHUSD", "1m")).toBeNull();
+  });
+
+  it("drops series older than their width's maximum age", async () => {
+    const start = NOW - 10 * MINUTE;
+    await store.save("BTCUSD", "1m", minuteCandles(start, NOW), [{ start, end: NOW }]);
+
+    vi.setSystemTime(NOW + 2 * DAY);
+
+    expect(await store.load("BTCUSD", "1m")).toBeNull();
+  });
+
+  it("evicts the least recently used series over the candle budget", async () => {
+    store = new CandleStore({ maxCandles: 15 });
+    const start = NOW - 11 * MINUTE;
+    const range = [{ start, end: NOW }];
+
+    await store.save("BTCUSD", "1m", minuteCandles(start, NOW), range);
+    vi.setSystemTime(NOW + 1000);
+    await store.save("ETHUSD", "1m", minuteCandles(start, NOW), range);
+
+    expect(await store.load("BTCUSD", "1m")).toBeNull();
+    expect(await store.load("ETHUSD", "1m")).not.toBeNull();
+  });
+
+  describe("through ApiService", () => {
+    let api;
+
+    /**
+     * ApiService answering candle requests from a fake network
+     */
+    function createApi(config = {}) {
+      const service = new ApiService({}, { apiBaseUrl: "https://api.test", ...config });
+      vi.spyOn(service, "_authorizedFetch").mockImplementation(async (url) => {
+        const params = new URL(url).searchParams;
+        const candles = minuteCandles(Number(params.get("start")), Number(params.get("end")));
+        return { ok: true, json: async () => candles };
+      });
+      return service;
+    }
+
+    afterEach(() => {
+      api.cleanup();
+    });
+
+    it("persists a multi-chunk gap fill once, then serves it after a reload", async () => {
+      api = createApi();
+      const save = vi.spyOn(api.candleStore, "save");
+
+      // 5000 one-minute bars, fetched in three chunks
+      const start = NOW - 5000 * MINUTE;
+      await api.fetchCandles("BTCUSD", "1m", { start, end: NOW - 60 * MINUTE });
+
+      expect(api._authorizedFetch).toHaveBeenCalledTimes(3);
+      expect(save).toHaveBeenCalledTimes(1);
+      await vi.waitFor(async () => expect(await api.candleStore.load("BTCUSD", "1m")).not.toBeNull());
+
+      // A new page load reads the store instead of the network
+      api.cleanup();
+      api = createApi();
+      const candles = await api.fetchCandles("BTCUSD", "1m", { start, end: NOW - 60 * MINUTE });
+
+      expect(api._authorizedFetch).not.toHaveBeenCalled();
+      expect(candles).toHaveLength(4940);
+    });
+
+    it("reads a series from the store again after the memory cache evicts it", async () => {
+      api = createApi({ cacheBudget: 100 });
+      const range = { start: NOW - 120 * MINUTE, end: NOW - 60 * MINUTE };
+
+      await api.fetchCandles("BTCUSD", "1m", range);
+      await vi.waitFor(async () => expect(await api.candleStore.load("BTCUSD", "1m")).not.toBeNull());
+
+      // ETHUSD pushes BTCUSD out of memory
+      await api.fetchCandles("ETHUSD", "1m", range);
+      expect(api.candleCache.getCandles("BTCUSD", "1m")).toEqual([]);
+
+      api._authorizedFetch.mockClear();
+      const candles = await api.fetchCandles("BTCUSD", "1m", range);
+
+      expect(api._authorizedFetch).not.toHaveBeenCalled();
+      expect(candles).toHaveLength(60);
+    });
+  });
+});
@@ -0,0 +1,500 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { ChartComponent } from "../src/chart";
+import { LruCache } from "../src/lru-cache";
+import { calculateDataRange } from "../src/utils";
+import { addBars } from "../src/intervals";
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Monday 1 July 2024, 12:00 UTC
+const NOW = Date.UTC(2024, 6, 1, 12, 0);
+
+// calculateInitialLoadRange for 1h
+const INITIAL_START = NOW - 30 * DAY;
+
+const { createChart } = vi.hoisted(() => ({ createChart: vi.fn() }));
+
+vi.mock("lightweight-charts", () => ({ createChart }));
+
+/**
+ * Fake lightweight-charts chart. The visible range is scripted by the test,
+ * and range change handlers are called the way the library would.
+ */
+function createFakeChart() {
+  const rangeHandlers = new Set();
+  let visibleRange = null;
+
+  const timeScale = {
+    subscribeVisibleLogicalRangeChange: vi.fn((handler) => rangeHandlers.add(handler)),
+    unsubscribeVisibleLogicalRangeChange: vi.fn((handler) => rangeHandlers.delete(handler)),
+    getVisibleRange: () => visibleRange,
+    fitContent: vi.fn(),
+    scrollToRealTime: vi.fn(),
+  };
+
+  return {
+    series: { setData: vi.fn(), update: vi.fn() },
+    timeScale: () => timeScale,
+    addCandlestickSeries() {
+      return this.series;
+    },
+    applyOptions: vi.fn(),
+    subscribeCrosshairMove: vi.fn(),
+    resize: vi.fn(),
+    remove: vi.fn(),
+
+    /**
+     * Show [from, to] (ms) and notify range change handlers
+     */
+    setVisibleRange(from, to) {
+      visibleRange = { from: from / 1000, to: to / 1000 };
+      rangeHandlers.forEach((handler) => handler({ from: 0, to: 100 }));
+    },
+  };
+}
+
+/**
+ * Hourly candles starting inside [start, end]
+ */
+function hourlyCandles(start, end) {
+  const candles = [];
+  for (let timestamp = Math.ceil(start / HOUR) * HOUR; timestamp <= end; timestamp += HOUR) {
+    candles.push({ timestamp, open: 1, high: 2, low: 0.5, close: 1.5, volume: 10 });
+  }
+  return candles;
+}
+
+/**
+ * Fake ApiService serving hourly candles for any range
+ */
+function createFakeApi() {
+  return {
+    cache: new LruCache(),
+    fetchInstrument: vi.fn(async (symbol) => ({ symbol, category: "Crypto", market: [] })),
+    fetchCandles: vi.fn(async (symbol, width, { start, end }) => hourlyCandles(start, end)),
+    subscribeToCandles: vi.fn(async () => {}),
+    unsubscribeFromCandles: vi.fn(async () => {}),
+  };
+}
+
+describe("ChartComponent loading and panning", () => {
+  let fakeChart;
+  let api;
+  let component;
+
+  /**
+   * Load BTCUSD@1h and wait out the post-load cooldown
+   */
+  async function loadSymbol() {
+    await component.loadSymbol("BTCUSD", "1h");
+    await vi.advanceTimersByTimeAsync(1000);
+    api.fetchCandles.mockClear();
+  }
+
+  /**
+   * Move the viewport to [from, to] and wait for the debounced load
+   */
+  async function scrollTo(from, to) {
+    fakeChart.setVisibleRange(from, to);
+    await vi.advanceTimersByTimeAsync(500);
+    await component.loadingPromise;
+  }
+
+  /**
+   * The [start, end] of each fetchCandles call so far
+   */
+  function fetchedRanges() {
+    return api.fetchCandles.mock.calls.map(([, , { start, end }]) => [start, end]);
+  }
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(NOW);
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+
+    document.body.innerHTML = `
+      <div id="chart-container"></div>
+      <div id="tooltip-container"></div>
+    `;
+
+    createChart.mockImplementation(() => {
+      fakeChart = createFakeChart();
+      return fakeChart;
+    });
+
+    api = createFakeApi();
+    component = new ChartComponent(document.getElementById("chart-container"), api);
+  });
+
+  afterEach(async () => {
+    await component.destroy();
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it("loads the initial range once and subscribes to live updates", async () => {
+    await component.loadSymbol("BTCUSD", "1h");
+
+    expect(fetchedRanges()).toEqual([[INITIAL_START, NOW]]);
+    expect(api.subscribeToCandles).toHaveBeenCalledWith(
+      "BTCUSD",
+      "1h",
+      component.realtimeCallback,
+      expect.objectContaining({ lastTimestamp: NOW })
+    );
+    expect(component.lastLoadedRange).toEqual({ start: INITIAL_START, end: NOW });
+    expect(fakeChart.series.setData).toHaveBeenLastCalledWith(component.data);
+  });
+
+  it("ignores viewport moves until the post-load cooldown ends", async () => {
+    await component.loadSymbol("BTCUSD", "1h");
+    api.fetchCandles.mockClear();
+
+    fakeChart.setVisibleRange(INITIAL_START, INITIAL_START + 2 * DAY);
+    await vi.advanceTimersByTimeAsync(500);
+
+    expect(component.timeRangeChangeCooldown).toBe(true);
+    expect(api.fetchCandles).not.toHaveBeenCalled();
+
+    await vi.advanceTimersByTimeAsync(500);
+
+    expect(component.timeRangeChangeCooldown).toBe(false);
+    expect(component.isInitializing).toBe(false);
+  });
+
+  it("ignores viewport moves while a load is in flight", async () => {
+    await loadSymbol();
+
+    let finishLoad;
+    api.fetchCandles.mockImplementationOnce(
+      () => new Promise((resolve) => (finishLoad = () => resolve([])))
+    );
+
+    // The first move starts a load, the second arrives while it runs
+    fakeChart.setVisibleRange(INITIAL_START + HOUR, INITIAL_START + 2 * DAY);
+    await vi.advanceTimersByTimeAsync(500);
+    fakeChart.setVisibleRange(INITIAL_START - 20 * DAY, INITIAL_START - 18 * DAY);
+    await vi.advanceTimersByTimeAsync(500);
+
+    expect(component.isLoading).toBe(true);
+    expect(api.fetchCandles).toHaveBeenCalledTimes(1);
+
+    finishLoad();
+    await component.loadingPromise;
+
+    expect(component.isLoading).toBe(false);
+  });
+
+  it("does not fetch while the viewport stays inside the loaded range", async () => {
+    await loadSymbol();
+
+    await scrollTo(NOW - 20 * DAY, NOW - 18 * DAY);
+    await scrollTo(NOW - 15 * DAY, NOW - 13 * DAY);
+
+    expect(api.fetchCandles).not.toHaveBeenCalled();
+  });
+
+  it("loads earlier data when the viewport nears the left edge", async () => {
+    await loadSymbol();
+
+    const from = INITIAL_START + HOUR;
+    const to = INITIAL_START + 2 * DAY;
+    await scrollTo(from, to);
+
+    // 30% of the loaded span before the viewport, up to the loaded start
+    const range = calculateDataRange("1h", from - 9 * DAY, INITIAL_START);
+    expect(fetchedRanges()).toEqual([[range.start, range.end]]);
+    expect(component.lastLoadedRange).toEqual({ start: range.start, end: NOW });
+  });
+
+  it("loads later data when the viewport nears the right edge", async () => {
+    await loadSymbol();
+
+    const from = NOW - DAY;
+    const to = NOW + DAY;
+    await scrollTo(from, to);
+
+    // 30% of the viewport after it
+    const range = calculateDataRange("1h", NOW, to + 0.3 * (to - from));
+    expect(fetchedRanges()).toEqual([[range.start, range.end]]);
+  });
+
+  it("forces a larger history load after repeated backward scrolls", async () => {
+    await loadSymbol();
+
+    // Each move goes back a day, staying clear of the left edge buffer
+    await scrollTo(INITIAL_START + 20 * DAY, INITIAL_START + 22 * DAY);
+    await scrollTo(INITIAL_START + 19 * DAY, INITIAL_START + 21 * DAY);
+    await scrollTo(INITIAL_START + 18 * DAY, INITIAL_START + 20 * DAY);
+
+    expect(component.backwardScrollAttempts).toBe(2);
+    expect(api.fetchCandles).not.toHaveBeenCalled();
+
+    await scrollTo(INITIAL_START + 17 * DAY, INITIAL_START + 19 * DAY);
+
+    // Twice the loaded span before the loaded start
+    const range = calculateDataRange("1h", INITIAL_START - 60 * DAY, INITIAL_START);
+    expect(fetchedRanges()).toEqual([[range.start, range.end]]);
+    expect(component.backwardScrollAttempts).toBe(0);
+  });
+
+  it("stops loading history after consecutive empty responses", async () => {
+    await loadSymbol();
+
+    // Nothing before the initial load
+    api.fetchCandles.mockResolvedValue([]);
+
+    await scrollTo(INITIAL_START + HOUR, INITIAL_START + 2 * DAY);
+
+    expect(component.emptyResponseCounter).toBe(1);
+    expect(component.reachedHistoryLimit).toBe(false);
+
+    // Further back than the first empty request
+    await scrollTo(INITIAL_START - 5 * DAY, INITIAL_START - 3 * DAY);
+
+    expect(component.emptyResponseCounter).toBe(2);
+    expect(component.reachedHistoryLimit).toBe(true);
+    expect(api.fetchCandles).toHaveBeenCalledTimes(2);
+
+    await scrollTo(INITIAL_START - 10 * DAY, INITIAL_START - 8 * DAY);
+
+    expect(api.fetchCandles).toHaveBeenCalledTimes(2);
+    expect(component.lastLoadedRange).toEqual({ start: INITIAL_START, end: NOW });
+  });
+
+  it("resets history tracking when the interval changes", async () => {
+    await loadSymbol();
+    component.reachedHistoryLimit = true;
+    component.backwardScrollAttempts = 2;
+
+    await component.changeInterval("4h");
+
+    expect(component.reachedHistoryLimit).toBe(false);
+    expect(component.backwardScrollAttempts).toBe(0);
+    expect(api.unsubscribeFromCandles).toHaveBeenCalledWith("BTCUSD", "1h", expect.any(Function));
+    // The cooldown moved the clock on
+    expect(fetchedRanges()).toEqual([[Date.now() - 90 * DAY, Date.now()]]);
+  });
+});
+
+describe("ChartComponent request windows", () => {
+  let api;
+  let component;
+
+  // Monday to Friday, 09:30 to 16:00 in New York
+  const stock = {
+    symbol: "AAPL",
+    category: "Stocks",
+    timeZone: "America/New_York",
+    market: [1, 2, 3, 4, 5].map((day) => ({
+      open: { day, hour: 9, minute: 30 },
+      close: { day, hour: 16, minute: 0 },
+    })),
+    holidays: ["2024-05-27"],
+  };
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(NOW);
+    vi.spyOn(console, "log").mockImplementation(() => {});
+
+    document.body.innerHTML = `
+      <div id="chart-container"></div>
+      <div id="tooltip-container"></div>
+    `;
+
+    createChart.mockReturnValue(createFakeChart());
+    api = createFakeApi();
+    api.fetchInstrument.mockResolvedValue(stock);
+
+    component = new ChartComponent(document.getElementById("chart-container"), api);
+    component.symbol = "AAPL";
+    component.interval = "1h";
+  });
+
+  afterEach(() => {
+    component.destroy();
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it.each([
+    // Saturday to Memorial Day Monday: back to Friday's open, 09:30 EDT
+    ["a weekend and holiday", Date.UTC(2024, 4, 25), Date.UTC(2024, 4, 27, 23), Date.UTC(2024, 4, 24, 13, 30)],
+    // Friday night to Tuesday's session: already has trading in it
+    ["a window with a session", Date.UTC(2024, 4, 24, 22), Date.UTC(2024, 4, 28, 15), Date.UTC(2024, 4, 24, 22)],
+  ])("picks the start of %s from the session calendar", async (_name, start, end, expected) => {
+    await component.loadDataForRange(start, end, true);
+
+    expect(api.fetchCandles).toHaveBeenCalledWith("AAPL", "1h", expect.objectContaining({ start: expected, end }));
+  });
+
+  it("measures ranges against the clock it is given", () => {
+    const recordedNow = NOW - 3 * DAY;
+    const replayed = new ChartComponent(document.getElementById("chart-container"), api, { now: () => recordedNow });
+
+    expect(replayed.calculateInitialLoadRange("1h")).toEqual({ start: recordedNow - 30 * DAY, end: recordedNow });
+    replayed.destroy();
+  });
+
+  it.each([
+    ["3mo", "1mo"],
+    ["2d", "1d"],
+    ["3h", "1h"],
+    ["10m", "5m"],
+  ])("loads %s over the span its native %s would", (interval, baseWidth) => {
+    const baseRange = component.calculateInitialLoadRange(baseWidth);
+    const { start, end } = component.calculateInitialLoadRange(interval);
+
+    // Within a native bar, not the native range times the width factor
+    expect(end).toBe(NOW);
+    expect(start).toBeGreaterThan(addBars(baseRange.start, baseWidth, -1));
+    expect(start).toBeLessThan(addBars(baseRange.start, baseWidth, 1));
+  });
+});
+
+describe("ChartComponent bar replay", () => {
+  let fakeChart;
+  let api;
+  let component;
+
+  /**
+   * The chart times (seconds) of a list of bars
+   */
+  function times(bars) {
+    return bars.map((bar) => bar.time);
+  }
+
+  /**
+   * The [start, end] of each fetchCandles call so far
+   */
+  function fetchedRanges() {
+    return api.fetchCandles.mock.calls.map(([, , { start, end }]) => [start, end]);
+  }
+
+  beforeEach(async () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(NOW);
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+
+    document.body.innerHTML = `
+      <div id="chart-container"></div>
+      <div id="tooltip-container"></div>
+    `;
+
+    createChart.mockImplementation(() => {
+      fakeChart = createFakeChart();
+      return fakeChart;
+    });
+
+    api = createFakeApi();
+    component = new ChartComponent(document.getElementById("chart-container"), api);
+
+    await component.loadSymbol("BTCUSD", "1h");
+    await vi.advanceTimersByTimeAsync(1000);
+    api.fetchCandles.mockClear();
+    api.subscribeToCandles.mockClear();
+  });
+
+  afterEach(async () => {
+    await component.destroy();
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it("hides the bars after the start date and suspends live updates", async () => {
+    const start = NOW - 2 * DAY;
+    await component.startBarReplay(start);
+
+    const shown = fakeChart.series.setData.mock.lastCall[0];
+    expect(shown[shown.length - 1].time).toBe(start / 1000);
+    expect(shown).toHaveLength(component.data.length - 48);
+    expect(api.unsubscribeFromCandles).toHaveBeenCalledWith("BTCUSD", "1h", expect.any(Function));
+    expect(api.fetchCandles).not.toHaveBeenCalled();
+  });
+
+  it("reveals exactly one bar per step", async () => {
+    const start = NOW - 2 * DAY;
+    await component.startBarReplay(start);
+
+    expect(await component.stepBarReplay()).toBe(true);
+    expect(await component.stepBarReplay()).toBe(true);
+
+    expect(times(fakeChart.series.update.mock.calls.map(([bar]) => bar))).toEqual([
+      (start + HOUR) / 1000,
+      (start + 2 * HOUR) / 1000,
+    ]);
+    expect(component.getBarReplayState().time).toBe(start + 2 * HOUR);
+  });
+
+  it("loads an old start date's surroundings first and the rest as stepping reaches it", async () => {
+    component.barReplayContextBars = 5;
+    const start = NOW - 90 * DAY;
+
+    await component.startBarReplay(start);
+
+    // Not the 60 days from the start date to the loaded range
+    expect(fetchedRanges()).toEqual([[start - 5 * HOUR, start + 5 * HOUR]]);
+
+    for (let i = 0; i < 4; i++) {
+      await component.stepBarReplay();
+    }
+    expect(api.fetchCandles).toHaveBeenCalledTimes(1);
+
+    // The last bar around the start date asks for the next request's worth
+    await component.stepBarReplay();
+    expect(fetchedRanges()[1]).toEqual([start + 5 * HOUR, start + 1005 * HOUR]);
+    expect(fakeChart.series.update).toHaveBeenLastCalledWith(expect.objectContaining({ time: (start + 5 * HOUR) / 1000 }));
+    expect(component.barReplay.gap).toEqual({ start: start + 1005 * HOUR, end: INITIAL_START });
+  });
+
+  it("plays at the replay speed until paused", async () => {
+    await component.startBarReplay(NOW - 2 * DAY);
+    component.setBarReplaySpeed(2);
+
+    component.playBarReplay();
+    await vi.advanceTimersByTimeAsync(1000);
+
+    expect(fakeChart.series.update).toHaveBeenCalledTimes(2);
+    expect(component.getBarReplayState().playing).toBe(true);
+
+    component.pauseBarReplay();
+    await vi.advanceTimersByTimeAsync(5000);
+
+    expect(fakeChart.series.update).toHaveBeenCalledTimes(2);
+    expect(component.getBarReplayState().playing).toBe(false);
+    expect(component.barReplay.timer).toBeNull();
+  });
+
+  it("restores the full series and live updates when stopped", async () => {
+    await component.startBarReplay(NOW - 2 * DAY);
+    await component.stepBarReplay();
+
+    await component.stopBarReplay();
+
+    expect(component.barReplay).toBeNull();
+    expect(fakeChart.series.setData).toHaveBeenLastCalledWith(component.data);
+    expect(times(component.data).at(-1)).toBe(NOW / 1000);
+    expect(api.subscribeToCandles).toHaveBeenCalledWith(
+      "BTCUSD",
+      "1h",
+      component.realtimeCallback,
+      expect.anything()
+    );
+  });
+
+  it("drops the bars before a gap stepping never filled when stopped", async () => {
+    component.barReplayContextBars = 5;
+    await component.startBarReplay(NOW - 90 * DAY);
+
+    await component.stopBarReplay();
+
+    expect(times(component.data)[0]).toBe(INITIAL_START / 1000);
+    expect(component.lastLoadedRange).toEqual({ start: INITIAL_START, end: NOW });
+    expect(fakeChart.series.setData).toHaveBeenLastCalledWith(component.data);
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, expect } from "vitest";
+import { addBars, countBars, floorToBar, getTimeZoneOffset, parseIntervalSpec } from "../src/intervals";
+import { splitRange } from "../src/utils";
+
+const HOUR = 60 * 60 * 1000;
+const NEW_YORK = { timeZone: "America/New_York" };
+
+describe("interval helpers", () => {
+  it.each([
+    ["15m", { unit: "m", value: 15 }],
+    ["4h", { unit: "h", value: 4 }],
+    ["2d", { unit: "d", value: 2 }],
+    ["1w", { unit: "w", value: 1 }],
+    ["3mo", { unit: "mo", value: 3 }],
+    ["0m", { unit: "d", value: 1 }],
+    ["1y", { unit: "d", value: 1 }],
+    [undefined, { unit: "d", value: 1 }],
+  ])("parses %j", (interval, expected) => {
+    expect(parseIntervalSpec(interval)).toEqual(expected);
+  });
+
+  it.each([
+    ["15m", Date.UTC(2024, 2, 13, 15, 47), Date.UTC(2024, 2, 13, 15, 45)],
+    ["4h", Date.UTC(2024, 2, 13, 15, 47), Date.UTC(2024, 2, 13, 12)],
+    ["1d", Date.UTC(2024, 2, 13, 15, 47), Date.UTC(2024, 2, 13)],
+    ["1w", Date.UTC(2024, 2, 13, 15, 47), Date.UTC(2024, 2, 11)], // Wednesday to Monday
+    ["1w", Date.UTC(2024, 2, 17, 23, 59), Date.UTC(2024, 2, 11)], // Sunday is the last ISO day
+    ["1w", Date.UTC(2024, 11, 31), Date.UTC(2024, 11, 30)], // Across the year end
+    ["1w", Date.UTC(2021, 0, 1), Date.UTC(2020, 11, 28)], // ISO week 53
+    ["1mo", Date.UTC(2024, 1, 29, 12), Date.UTC(2024, 1, 1)],
+    ["3mo", Date.UTC(2024, 4, 20), Date.UTC(2024, 3, 1)], // Quarters
+    ["bogus", Date.UTC(2024, 2, 13, 15, 47), Date.UTC(2024, 2, 13)],
+  ])("floors to a %s bar in UTC", (interval, timestamp, expected) => {
+    expect(floorToBar(timestamp, interval)).toBe(expected);
+  });
+
+  it.each([
+    ["1mo", Date.UTC(2024, 0, 31), 1, Date.UTC(2024, 1, 29)], // Clamped to a leap day
+    ["1mo", Date.UTC(2023, 0, 31), 1, Date.UTC(2023, 1, 28)],
+    ["1mo", Date.UTC(2024, 2, 31), -1, Date.UTC(2024, 1, 29)],
+    ["1mo", Date.UTC(2024, 10, 15), 3, Date.UTC(2025, 1, 15)], // Across the year end
+    ["3mo", Date.UTC(2024, 0, 1), -2, Date.UTC(2023, 6, 1)],
+    ["1w", Date.UTC(2024, 2, 11), 2, Date.UTC(2024, 2, 25)],
+    ["1d", Date.UTC(2024, 1, 28), 1, Date.UTC(2024, 1, 29)],
+    ["4h", Date.UTC(2024, 2, 13, 12), -3, Date.UTC(2024, 2, 13)],
+  ])("adds %s bars in UTC", (interval, timestamp, count, expected) => {
+    expect(addBars(timestamp, interval, count)).toBe(expected);
+  });
+
+  it.each([
+    ["1mo", Date.UTC(2024, 0, 1), Date.UTC(2024, 6, 1), 6],
+    ["1mo", Date.UTC(2024, 0, 31), Date.UTC(2024, 1, 1), 1], // One day, but a new month
+    ["1mo", Date.UTC(2024, 6, 1), Date.UTC(2024, 0, 1), -6],
+    ["3mo", Date.UTC(2023, 11, 31), Date.UTC(2024, 11, 31), 4],
+    ["1w", Date.UTC(2024, 0, 1), Date.UTC(2025, 0, 1), 52],
+    ["1w", Date.UTC(2024, 2, 17), Date.UTC(2024, 2, 18), 1], // Sunday to Monday
+    ["1d", Date.UTC(2024, 0, 1), Date.UTC(2025, 0, 1), 366],
+    ["1h", Date.UTC(2024, 2, 13, 13, 30), Date.UTC(2024, 2, 13, 15), 2],
+  ])("counts %s bars in UTC", (interval, start, end, expected) => {
+    expect(countBars(start, end, interval)).toBe(expected);
+  });
+
+  describe("across DST in New York", () => {
+    // Clocks went forward on 10 March 2024 and back on 3 November 2024
+    const springDay = Date.UTC(2024, 2, 10, 5); // Midnight EST
+    const springNextDay = Date.UTC(2024, 2, 11, 4); // Midnight EDT
+    const fallDay = Date.UTC(2024, 10, 3, 4); // Midnight EDT
+    const fallNextDay = Date.UTC(2024, 10, 4, 5); // Midnight EST
+
+    it("reads the offset before and after the change", () => {
+      expect(getTimeZoneOffset(springDay, NEW_YORK.timeZone)).toBe(-5 * HOUR);
+      expect(getTimeZoneOffset(springNextDay, NEW_YORK.timeZone)).toBe(-4 * HOUR);
+      expect(getTimeZoneOffset(springDay, "UTC")).toBe(0);
+    });
+
+    it.each([
+      ["1d", Date.UTC(2024, 2, 10, 12), springDay],
+      ["1d", Date.UTC(2024, 2, 11, 3, 59), springDay], // 23:59 EDT on the short day
+      ["1d", Date.UTC(2024, 10, 4, 4, 30), fallDay], // 23:30 EST on the long day
+      ["1w", Date.UTC(2024, 2, 13, 3), Date.UTC(2024, 2, 11, 4)], // Tuesday 23:00 EDT
+      ["1mo", Date.UTC(2024, 3, 1, 2), Date.UTC(2024, 2, 1, 5)], // 31 March 22:00 EDT
+      ["1h", Date.UTC(2024, 10, 3, 5, 30), Date.UTC(2024, 10, 3, 5)], // First 01:30
+      ["1h", Date.UTC(2024, 10, 3, 6, 30), Date.UTC(2024, 10, 3, 6)], // Repeated 01:30
+    ])("floors to a %s bar on local time", (interval, timestamp, expected) => {
+      expect(floorToBar(timestamp, interval, NEW_YORK)).toBe(expected);
+    });
+
+    it.each([
+      ["a 23 hour day", springDay, 1, springNextDay],
+      ["a 25 hour day", fallDay, 1, fallNextDay],
+      ["back over a 23 hour day", springNextDay, -1, springDay],
+    ])("steps a day over %s", (_name, timestamp, count, expected) => {
+      expect(addBars(timestamp, "1d", count, NEW_YORK)).toBe(expected);
+    });
+
+    it("keeps the local time when stepping days", () => {
+      // 09:30 EST to 09:30 EDT
+      expect(addBars(Date.UTC(2024, 2, 8, 14, 30), "1d", 3, NEW_YORK)).toBe(Date.UTC(2024, 2, 11, 13, 30));
+    });
+
+    it.each([
+      ["1d", springDay, springNextDay, 1],
+      ["1d", fallDay, fallNextDay, 1],
+      ["1h", springDay, springNextDay, 23],
+      ["1h", fallDay, fallNextDay, 25],
+    ])("counts %s bars from midnight to midnight", (interval, start, end, expected) => {
+      expect(countBars(start, end, interval, NEW_YORK)).toBe(expected);
+    });
+  });
+
+  it("splits monthly ranges on calendar months", () => {
+    const chunks = splitRange(Date.UTC(2024, 0, 1), Date.UTC(2024, 6, 1), "1mo", 2);
+
+    expect(chunks).toEqual([
+      { start: Date.UTC(2024, 0, 1), end: Date.UTC(2024, 2, 1) },
+      { start: Date.UTC(2024, 2, 1), end: Date.UTC(2024, 4, 1) },
+      { start: Date.UTC(2024, 4, 1), end: Date.UTC(2024, 6, 1) },
+    ]);
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect } from "vitest";
+import { LruCache, countCandles, estimateBytes } from "../src/lru-cache";
+import { CandleCache } from "../src/candle-cache";
+
+/**
+ * Build n dummy candles
+ */
+function candles(n) {
+  return Array.from({ length: n }, (_, i) => ({ timestamp: i, open: 1, high: 1, low: 1, close: 1 }));
+}
+
+describe("LruCache", () => {
+  it("evicts the least recently read entry once over budget", () => {
+    const cache = new LruCache({ maxSize: 10 });
+    cache.set("a", candles(4));
+    cache.set("b", candles(4));
+
+    // Reading "a" makes "b" the oldest
+    cache.get("a");
+    cache.set("c", candles(4));
+
+    expect(cache.keys()).toEqual(["a", "c"]);
+    expect(cache.getStats()).toMatchObject({ evictions: 1, entries: 2, size: 8 });
+  });
+
+  it("reports entries evicted for space, but not deleted ones", () => {
+    const cache = new LruCache({ maxSize: 10 });
+    const evicted = [];
+    cache.onEvict = (key, value) => evicted.push([key, value.length]);
+
+    cache.set("a", candles(4));
+    cache.set("b", candles(4));
+    cache.delete("b");
+    cache.set("c", candles(4));
+    cache.set("d", candles(4));
+
+    expect(evicted).toEqual([["a", 4]]);
+  });
+
+  it("re-weighs an entry when it is written again", () => {
+    const cache = new LruCache({ maxSize: 100 });
+    const entry = { candles: candles(5), ranges: [] };
+    cache.set("series", entry);
+
+    entry.candles = candles(50);
+    cache.set("series", entry);
+
+    expect(cache.getStats().size).toBe(50);
+  });
+
+  it("keeps an entry larger than the whole budget", () => {
+    const cache = new LruCache({ maxSize: 10 });
+    cache.set("small", candles(2));
+    cache.set("huge", candles(20));
+
+    expect(cache.keys()).toEqual(["huge"]);
+  });
+
+  it("counts hits and misses but not peeks", () => {
+    const cache = new LruCache();
+    cache.set("a", candles(1));
+
+    cache.get("a");
+    cache.get("missing");
+    cache.peek("a");
+
+    expect(cache.getStats()).toMatchObject({ hits: 1, misses: 1, hitRate: 0.5 });
+  });
+
+  it.each([
+    { name: "candle arrays", value: candles(3), count: 3, bytes: 3 * 64 },
+    { name: "candle cache series", value: { candles: candles(2), ranges: [] }, count: 2, bytes: 2 * 64 },
+    { name: "chart data entries", value: { data: candles(4), range: null }, count: 4, bytes: 4 * 64 },
+    { name: "other values", value: { symbol: "AAPL" }, count: 1, bytes: JSON.stringify({ symbol: "AAPL" }).length * 2 },
+  ])("weighs $name in candles and bytes", ({ value, count, bytes }) => {
+    expect(countCandles(value)).toBe(count);
+    expect(estimateBytes(value)).toBe(bytes);
+  });
+
+  it("drops a candle series and its ranges together when evicted", () => {
+    const store = new LruCache({ maxSize: 10 });
+    const cache = new CandleCache(store);
+
+    cache.add("BTCUSD", "1m", 0, 5, candles(6));
+    cache.add("ETHUSD", "1m", 0, 5, candles(6));
+
+    expect(cache.isCovered("BTCUSD", "1m", 0, 5)).toBe(false);
+    expect(cache.getMissingRanges("BTCUSD", "1m", 0, 5)).toEqual([{ start: 0, end: 5 }]);
+    expect(cache.isCovered("ETHUSD", "1m", 0, 5)).toBe(true);
+  });
+});
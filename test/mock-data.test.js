@@ -0,0 +1,53 @@
+import { describe, it, expect } from "vitest";
+import { barStart, generateCandles, getCurrentCandle } from "../server/mock-data.mjs";
+
+const HOUR = 60 * 60 * 1000;
+
+// Friday 16 October 2026 20:00 UTC to Monday 19 October 02:00 UTC
+const FRIDAY_EVENING = Date.UTC(2026, 9, 16, 20);
+const MONDAY_MORNING = Date.UTC(2026, 9, 19, 2);
+const SATURDAY_NOON = Date.UTC(2026, 9, 17, 12);
+
+describe("mock market data", () => {
+  it("returns the same candles for the same request", () => {
+    const first = generateCandles("BTCUSD", "1h", FRIDAY_EVENING, MONDAY_MORNING, MONDAY_MORNING);
+    const second = generateCandles("BTCUSD", "1h", FRIDAY_EVENING, MONDAY_MORNING, MONDAY_MORNING);
+
+    expect(first).toEqual(second);
+    expect(first).toHaveLength(55);
+  });
+
+  it.each([
+    ["BTCUSD", 55],
+    ["CADCHF", 7],
+    ["AAPL", 1],
+  ])("leaves out the weekend for %s", (symbol, expected) => {
+    const candles = generateCandles(symbol, "1h", FRIDAY_EVENING, MONDAY_MORNING, MONDAY_MORNING);
+    expect(candles).toHaveLength(expected);
+  });
+
+  it.each([
+    ["1h", Date.UTC(2026, 9, 17, 12, 34), Date.UTC(2026, 9, 17, 12)],
+    ["1d", Date.UTC(2026, 9, 17, 12, 34), Date.UTC(2026, 9, 17)],
+    ["1w", Date.UTC(2026, 9, 17, 12, 34), Date.UTC(2026, 9, 12)],
+    ["1mo", Date.UTC(2026, 9, 17, 12, 34), Date.UTC(2026, 9, 1)],
+  ])("aligns %s bars", (width, timestamp, expected) => {
+    expect(barStart(width, timestamp)).toBe(expected);
+  });
+
+  it("has no forming bar while the market is closed", () => {
+    expect(getCurrentCandle("CADCHF", "1m", SATURDAY_NOON)).toBeNull();
+    expect(getCurrentCandle("BTCUSD", "1m", SATURDAY_NOON)).toMatchObject({
+      timestamp: SATURDAY_NOON,
+    });
+  });
+
+  it("keeps high and low around open and close", () => {
+    generateCandles("MSFT", "15m", FRIDAY_EVENING - 6 * HOUR, FRIDAY_EVENING, FRIDAY_EVENING).forEach(
+      (candle) => {
+        expect(candle.high).toBeGreaterThanOrEqual(Math.max(candle.open, candle.close));
+        expect(candle.low).toBeLessThanOrEqual(Math.min(candle.open, candle.close));
+      }
+    );
+  });
+});
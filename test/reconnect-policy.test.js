@@ -0,0 +1,76 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { ReconnectPolicy } from "../src/reconnect-policy";
+
+describe("ReconnectPolicy", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it.each([
+    [1, 1000],
+    [2, 2000],
+    [5, 16000],
+    [6, 30000],
+    [50, 30000],
+  ])("backs off to %i -> %ims without a cap on attempts", (attempt, expected) => {
+    const policy = new ReconnectPolicy({ baseDelay: 1000, maxDelay: 30000 });
+    expect(policy.getBaseDelay(attempt)).toBe(expected);
+  });
+
+  it.each([
+    [0, 8000],
+    [0.999, 4004],
+  ])("jitters the delay down by up to half (random %f)", (random, expected) => {
+    vi.spyOn(Math, "random").mockReturnValue(random);
+    const policy = new ReconnectPolicy({ baseDelay: 1000, jitter: 0.5 });
+    expect(policy.getDelay(4)).toBe(expected);
+  });
+
+  it("retries after the delay and exposes the attempt and next retry time", () => {
+    vi.spyOn(Math, "random").mockReturnValue(0);
+    const reconnect = vi.fn();
+    const policy = new ReconnectPolicy({ baseDelay: 1000 });
+    policy.start(reconnect);
+
+    policy.schedule();
+    policy.schedule();
+
+    expect(policy.getStatus()).toEqual({
+      attempts: 2,
+      nextRetryAt: Date.now() + 2000,
+      paused: false,
+    });
+
+    vi.advanceTimersByTime(2000);
+    expect(reconnect).toHaveBeenCalledTimes(1);
+    expect(policy.isPending()).toBe(false);
+  });
+
+  it("retries at once when the network comes back", () => {
+    const reconnect = vi.fn();
+    const policy = new ReconnectPolicy();
+    policy.start(reconnect);
+
+    policy.handleOnline();
+    expect(reconnect).not.toHaveBeenCalled();
+
+    policy.schedule();
+    policy.handleOnline();
+    expect(reconnect).toHaveBeenCalledTimes(1);
+  });
+
+  it("resets the attempt count after a successful connection", () => {
+    const policy = new ReconnectPolicy();
+    policy.schedule();
+    policy.schedule();
+    policy.reset();
+
+    expect(policy.getStatus()).toEqual({ attempts: 0, nextRetryAt: null, paused: false });
+  });
+});
@@ -0,0 +1,144 @@
+import { describe, it, expect } from "vitest";
+import { MarketState, SessionCalendar } from "../src/session-calendar";
+
+/**
+ * The same session on each weekday given
+ */
+function weekdays(days, [openHour, openMinute], [closeHour, closeMinute]) {
+  return days.map((day) => ({
+    open: { day, hour: openHour, minute: openMinute },
+    close: { day, hour: closeHour, minute: closeMinute },
+  }));
+}
+
+const MONDAY_TO_FRIDAY = [1, 2, 3, 4, 5];
+
+// 09:30 to 16:00 in New York, closed on Independence Day (Thursday 4 July 2024)
+const newYork = new SessionCalendar({
+  timeZone: "America/New_York",
+  sessions: weekdays(MONDAY_TO_FRIDAY, [9, 30], [16, 0]),
+  holidays: ["2024-07-04"],
+});
+
+// Morning and afternoon sessions in Tokyo, with a lunch break
+const tokyo = new SessionCalendar({
+  timeZone: "Asia/Tokyo",
+  sessions: [
+    ...weekdays(MONDAY_TO_FRIDAY, [9, 0], [11, 30]),
+    ...weekdays(MONDAY_TO_FRIDAY, [12, 30], [15, 0]),
+  ],
+});
+
+// One week-long FX session, Sunday 17:00 to Friday 17:00 New York time
+const forex = new SessionCalendar({
+  timeZone: "America/New_York",
+  sessions: [{ open: { day: 0, hour: 17, minute: 0 }, close: { day: 5, hour: 17, minute: 0 } }],
+});
+
+describe("session calendar", () => {
+  it.each([
+    ["New York at the open", newYork, Date.UTC(2024, 6, 3, 13, 30), true],
+    ["New York before the open", newYork, Date.UTC(2024, 6, 3, 13, 29), false],
+    ["New York a minute before the close", newYork, Date.UTC(2024, 6, 3, 19, 59), true],
+    ["New York at the close", newYork, Date.UTC(2024, 6, 3, 20, 0), false],
+    ["New York on a holiday", newYork, Date.UTC(2024, 6, 4, 15), false],
+    ["New York on a Saturday", newYork, Date.UTC(2024, 6, 6, 15), false],
+    ["New York at the open in winter (EST)", newYork, Date.UTC(2024, 0, 10, 14, 30), true],
+    ["New York an hour early in winter (EST)", newYork, Date.UTC(2024, 0, 10, 13, 30), false],
+    ["Tokyo in the morning", tokyo, Date.UTC(2024, 6, 3, 1), true],
+    ["Tokyo over lunch", tokyo, Date.UTC(2024, 6, 3, 3), false],
+    ["Tokyo in the afternoon", tokyo, Date.UTC(2024, 6, 3, 4), true],
+    ["FX on a Wednesday", forex, Date.UTC(2024, 6, 3, 3), true],
+    ["FX on a Saturday", forex, Date.UTC(2024, 6, 6, 12), false],
+    ["FX on Sunday evening", forex, Date.UTC(2024, 6, 7, 21), true],
+  ])("knows whether %s is open", (_name, calendar, timestamp, expected) => {
+    expect(calendar.isOpen(timestamp)).toBe(expected);
+  });
+
+  it.each([
+    ["New York over the weekend", newYork, Date.UTC(2024, 6, 6, 12), Date.UTC(2024, 6, 5, 20)],
+    ["New York in a session after a holiday", newYork, Date.UTC(2024, 6, 5, 15), Date.UTC(2024, 6, 3, 20)],
+    ["New York at the close", newYork, Date.UTC(2024, 6, 3, 20), Date.UTC(2024, 6, 3, 20)],
+    ["Tokyo over lunch", tokyo, Date.UTC(2024, 6, 3, 3), Date.UTC(2024, 6, 3, 2, 30)],
+    ["FX on a Saturday", forex, Date.UTC(2024, 6, 6, 12), Date.UTC(2024, 6, 5, 21)],
+  ])("finds the previous close for %s", (_name, calendar, timestamp, expected) => {
+    expect(calendar.previousClose(timestamp)).toBe(expected);
+  });
+
+  it.each([
+    ["New York over the weekend", newYork, Date.UTC(2024, 6, 6, 12), Date.UTC(2024, 6, 8, 13, 30)],
+    ["New York before a holiday", newYork, Date.UTC(2024, 6, 3, 21), Date.UTC(2024, 6, 5, 13, 30)],
+    ["New York at the open", newYork, Date.UTC(2024, 6, 3, 13, 30), Date.UTC(2024, 6, 3, 13, 30)],
+    ["Tokyo over lunch", tokyo, Date.UTC(2024, 6, 3, 3), Date.UTC(2024, 6, 3, 3, 30)],
+    ["FX on a Saturday", forex, Date.UTC(2024, 6, 6, 12), Date.UTC(2024, 6, 7, 21)],
+  ])("finds the next open for %s", (_name, calendar, timestamp, expected) => {
+    expect(calendar.nextOpen(timestamp)).toBe(expected);
+  });
+
+  it.each([
+    ["New York in a session", newYork, Date.UTC(2024, 6, 3, 15), MarketState.OPEN, Date.UTC(2024, 6, 3, 20)],
+    ["New York before the open", newYork, Date.UTC(2024, 6, 3, 12), MarketState.PRE_MARKET, Date.UTC(2024, 6, 3, 13, 30)],
+    ["New York at midnight", newYork, Date.UTC(2024, 6, 3, 4), MarketState.CLOSED, Date.UTC(2024, 6, 3, 13, 30)],
+    ["New York after the close", newYork, Date.UTC(2024, 6, 3, 21), MarketState.CLOSED, Date.UTC(2024, 6, 5, 13, 30)],
+    ["New York on a holiday", newYork, Date.UTC(2024, 6, 4, 12), MarketState.CLOSED, Date.UTC(2024, 6, 5, 13, 30)],
+    ["Tokyo over lunch", tokyo, Date.UTC(2024, 6, 3, 3), MarketState.CLOSED, Date.UTC(2024, 6, 3, 3, 30)],
+    ["FX on Sunday morning", forex, Date.UTC(2024, 6, 7, 14), MarketState.CLOSED, Date.UTC(2024, 6, 7, 21)],
+    ["FX on Sunday afternoon", forex, Date.UTC(2024, 6, 7, 17), MarketState.PRE_MARKET, Date.UTC(2024, 6, 7, 21)],
+  ])("reports the status of %s", (_name, calendar, timestamp, state, nextChange) => {
+    expect(calendar.getStatus(timestamp)).toEqual({ state, nextChange });
+  });
+
+  it("lists the sessions in a range in order", () => {
+    expect(tokyo.getSessions(Date.UTC(2024, 6, 2, 20), Date.UTC(2024, 6, 3, 12))).toEqual([
+      { open: Date.UTC(2024, 6, 3, 0), close: Date.UTC(2024, 6, 3, 2, 30) },
+      { open: Date.UTC(2024, 6, 3, 3, 30), close: Date.UTC(2024, 6, 3, 6) },
+    ]);
+  });
+
+  it.each([
+    ["crypto", { category: "Crypto", market: [] }],
+    ["an instrument without a schedule", { category: "Stocks" }],
+  ])("never closes for %s", (_name, instrument) => {
+    const calendar = SessionCalendar.fromInstrument(instrument);
+    const timestamp = Date.UTC(2024, 6, 6, 12);
+
+    expect(calendar.isOpen(timestamp)).toBe(true);
+    expect(calendar.previousClose(timestamp)).toBeNull();
+    expect(calendar.nextOpen(timestamp)).toBeNull();
+    expect(calendar.getStatus(timestamp)).toEqual({ state: MarketState.OPEN, nextChange: null });
+  });
+
+  it("reads the schedule of an instrument in UTC by default", () => {
+    const calendar = SessionCalendar.fromInstrument({
+      category: "Stocks",
+      market: weekdays(MONDAY_TO_FRIDAY, [13, 30], [20, 0]),
+    });
+
+    expect(calendar.timeZone).toBe("UTC");
+    expect(calendar.nextOpen(Date.UTC(2024, 6, 6))).toBe(Date.UTC(2024, 6, 8, 13, 30));
+    expect(SessionCalendar.fromInstrument(null)).toBeNull();
+  });
+
+  it("takes the pre-market length from the instrument", () => {
+    const calendar = SessionCalendar.fromInstrument({
+      category: "Stocks",
+      market: weekdays(MONDAY_TO_FRIDAY, [13, 30], [20, 0]),
+      preMarketMinutes: 0,
+    });
+
+    expect(calendar.getStatus(Date.UTC(2024, 6, 3, 13)).state).toBe(MarketState.CLOSED);
+  });
+
+  it("trades to the end of the day when a session has no close", () => {
+    const calendar = SessionCalendar.fromInstrument({
+      category: "Stocks",
+      market: MONDAY_TO_FRIDAY.map((day) => ({ open: { day, hour: 13, minute: 30 } })),
+    });
+
+    expect(calendar.isOpen(Date.UTC(2024, 6, 5, 13, 29))).toBe(false);
+    expect(calendar.isOpen(Date.UTC(2024, 6, 5, 23, 59))).toBe(true);
+    expect(calendar.isOpen(Date.UTC(2024, 6, 6, 12))).toBe(false);
+    expect(calendar.previousClose(Date.UTC(2024, 6, 6, 12))).toBe(Date.UTC(2024, 6, 6));
+    expect(calendar.nextOpen(Date.UTC(2024, 6, 6, 12))).toBe(Date.UTC(2024, 6, 8, 13, 30));
+  });
+});
@@ -0,0 +1,150 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { SessionRecorder, SessionReplayer } from "../src/session-recording";
+import { ApiService } from "../src/api";
+
+const CANDLE_URL = "https://api.test/candle?symbol=AAPL&width=1h&start=1000&end=2000&referer=x";
+
+/**
+ * Record a session with two candle responses and two messages
+ */
+async function recordSession() {
+  const recorder = new SessionRecorder();
+  const startedAt = recorder.startedAt;
+
+  await recorder.recordResponse(CANDLE_URL, new Response('[{"timestamp":1}]'), startedAt, 200);
+  await recorder.recordResponse(CANDLE_URL, new Response('[{"timestamp":2}]'), startedAt + 10, 100);
+  vi.advanceTimersByTime(1000);
+  recorder.recordMessage({ symbol: "AAPL", width: "1h", timestamp: 3 });
+  vi.advanceTimersByTime(1000);
+  recorder.recordMessage({ symbol: "AAPL", width: "1h", timestamp: 4 });
+
+  return JSON.parse(JSON.stringify(recorder.toJSON()));
+}
+
+describe("session recording", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it("serves recorded responses in order per route, whatever the time range", async () => {
+    const replayer = new SessionReplayer(await recordSession());
+    const laterUrl = "https://api.test/candle?symbol=AAPL&width=1h&start=5000&end=9000";
+
+    const first = replayer.fetch(laterUrl);
+    await vi.advanceTimersByTimeAsync(200);
+    const second = replayer.fetch(laterUrl);
+    await vi.advanceTimersByTimeAsync(100);
+    const third = replayer.fetch(laterUrl);
+    await vi.advanceTimersByTimeAsync(100);
+
+    expect(await (await first).json()).toEqual([{ timestamp: 1 }]);
+    expect(await (await second).json()).toEqual([{ timestamp: 2 }]);
+    expect(await (await third).json()).toEqual([{ timestamp: 2 }]);
+  });
+
+  it("answers unrecorded routes with 404", async () => {
+    const replayer = new SessionReplayer(await recordSession());
+    const response = await replayer.fetch("https://api.test/instrument/MSFT");
+
+    expect(response.status).toBe(404);
+  });
+
+  it.each([
+    [1, 1000, 2000],
+    [4, 250, 500],
+  ])("plays messages back at %ix", async (speed, firstAt, secondAt) => {
+    const session = await recordSession();
+    const replayer = new SessionReplayer(session, { speed });
+    const onMessage = vi.fn();
+
+    replayer.playMessages(onMessage);
+
+    await vi.advanceTimersByTimeAsync(firstAt - 1);
+    expect(onMessage).toHaveBeenCalledTimes(0);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(onMessage).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(secondAt - firstAt);
+    expect(onMessage).toHaveBeenLastCalledWith({ symbol: "AAPL", width: "1h", timestamp: 4 });
+  });
+
+  it("rejects files that are not session recordings", () => {
+    expect(() => new SessionReplayer({ entries: [] })).toThrow("Unsupported session recording");
+  });
+});
+
+describe("session replay through ApiService", () => {
+  const HOUR = 60 * 60 * 1000;
+  const DAY = 24 * HOUR;
+
+  // Wednesday 13 March 2024, 15:00 UTC
+  const NOW = Date.UTC(2024, 2, 13, 15, 0);
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(NOW);
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  /**
+   * Fetch the last 25 hourly bars the way the chart does, from "now"
+   */
+  async function fetchLastDay(api) {
+    const candles = api.fetchCandles("AAPL", "1h", { start: api.now() - 25 * HOUR, end: api.now() });
+    await vi.advanceTimersByTimeAsync(0);
+    return candles;
+  }
+
+  /**
+   * Record a session in which the last 25 hourly bars were loaded
+   */
+  async function recordLastDay() {
+    const api = new ApiService({}, { apiBaseUrl: "https://api.test", recordSession: true });
+    vi.spyOn(api, "_fetchWithToken").mockImplementation(async () => {
+      const candles = Array.from({ length: 25 }, (_, i) => ({
+        timestamp: NOW - (25 - i) * HOUR,
+        open: 1,
+        high: 2,
+        low: 0.5,
+        close: 1.5,
+        volume: 1,
+      }));
+      return new Response(JSON.stringify(candles), { status: 200 });
+    });
+
+    expect(await fetchLastDay(api)).toHaveLength(25);
+
+    const session = JSON.parse(JSON.stringify(api.recorder.toJSON()));
+    api.cleanup();
+    return session;
+  }
+
+  it.each([
+    ["right away", 0],
+    ["five minutes later", 5 * 60 * 1000],
+    ["three days later", 3 * DAY],
+  ])("shows every recorded candle when replayed %s", async (_name, delay) => {
+    const session = await recordLastDay();
+    vi.setSystemTime(NOW + delay);
+
+    const api = new ApiService({}, { apiBaseUrl: "https://api.test", replaySession: session });
+
+    // The service runs on the recorded time, the rest of the page on its own
+    expect(api.now()).toBe(NOW);
+    expect(Date.now()).toBe(NOW + delay);
+    expect(await fetchLastDay(api)).toHaveLength(25);
+
+    api.cleanup();
+  });
+});
@@ -0,0 +1,140 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { TokenSync } from "../src/token-sync";
+import { AuthService } from "../src/auth";
+
+/**
+ * Minimal navigator.locks: one holder per name, a FIFO queue behind it,
+ * ifAvailable and abortable requests
+ */
+function createLockManager() {
+  const held = new Set();
+  const queues = new Map();
+
+  async function request(name, options, callback) {
+    if (typeof options === "function") {
+      callback = options;
+      options = {};
+    }
+
+    // Like the browser, never grant within the request call
+    await Promise.resolve();
+
+    if (held.has(name)) {
+      if (options.ifAvailable) return callback(null);
+
+      await new Promise((resolve, reject) => {
+        if (!queues.has(name)) queues.set(name, []);
+        queues.get(name).push(resolve);
+        options.signal?.addEventListener("abort", () => {
+          queues.set(name, queues.get(name).filter((next) => next !== resolve));
+          reject(new DOMException("Aborted", "AbortError"));
+        });
+      });
+    }
+
+    held.add(name);
+    try {
+      return await callback({ name });
+    } finally {
+      held.delete(name);
+      const next = (queues.get(name) || []).shift();
+      if (next) next();
+    }
+  }
+
+  return { request };
+}
+
+describe("TokenSync leader election", () => {
+  const tabs = [];
+
+  /**
+   * Open a tab's TokenSync
+   */
+  function openTab() {
+    const sync = new TokenSync("test-auth");
+    tabs.push(sync);
+    sync.start();
+    return sync;
+  }
+
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.stubGlobal("navigator", { locks: createLockManager() });
+  });
+
+  afterEach(() => {
+    tabs.splice(0).forEach((sync) => sync.stop());
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it("is not a follower while the election is pending", async () => {
+    const sync = openTab();
+
+    expect(sync.election).toBe("pending");
+    expect(sync.isFollower()).toBe(false);
+
+    await expect(sync.whenElected()).resolves.toBe("leader");
+    expect(sync.isLeader).toBe(true);
+  });
+
+  it("knows it follows as soon as another tab holds the lock", async () => {
+    const leader = openTab();
+    await leader.whenElected();
+
+    const follower = openTab();
+
+    await expect(follower.whenElected()).resolves.toBe("follower");
+    expect(follower.isFollower()).toBe(true);
+
+    // Takes over when the leader tab closes
+    leader.stop();
+    await vi.waitFor(() => expect(follower.isLeader).toBe(true));
+    expect(follower.isFollower()).toBe(false);
+  });
+
+  it("releases waiters when stopped before the election ends", async () => {
+    const sync = openTab();
+    sync.stop();
+
+    await expect(sync.whenElected()).resolves.toBe("stopped");
+  });
+});
+
+describe("AuthService with shared tokens", () => {
+  let auth;
+
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.stubGlobal("navigator", { locks: createLockManager() });
+    localStorage.clear();
+
+    auth = new AuthService({ tokenBrokerUrl: "/token" });
+    vi.spyOn(auth.strategy, "requestToken").mockResolvedValue({ token: "own", expiresIn: 3600 });
+  });
+
+  afterEach(() => {
+    auth.cleanup();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it("fetches its own token once elected instead of waiting for a leader", async () => {
+    await expect(auth.getToken()).resolves.toBe("own");
+    expect(auth.strategy.requestToken).toHaveBeenCalledTimes(1);
+  });
+
+  it("ignores a delayed announcement of an older token", async () => {
+    const now = Date.now();
+    auth.tokenSync.handleMessage({ type: "token", token: "newer", expiry: now + 600000 });
+    auth.tokenSync.handleMessage({ type: "token", token: "older", expiry: now + 300000 });
+
+    expect(auth.token).toBe("newer");
+
+    auth.tokenSync.handleMessage({ type: "token", token: "newest", expiry: now + 900000 });
+
+    expect(auth.token).toBe("newest");
+  });
+});
@@ -0,0 +1,138 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { PollingTransport, WebSocketTransport, createTransport } from "../src/transports";
+
+/**
+ * Build a candle
+ */
+function candle(timestamp, close) {
+  return { timestamp, open: 1, high: close, low: 1, close, volume: 0 };
+}
+
+describe("PollingTransport", () => {
+  let handlers;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    handlers = { onMessage: vi.fn(), onActivity: vi.fn(), onClose: vi.fn() };
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it("reports only candles that changed since the last poll", async () => {
+    const responses = [
+      [candle(0, 10), candle(60000, 11)],
+      [candle(0, 10), candle(60000, 12)],
+    ];
+    const fetchCandles = vi.fn(async () => responses.shift() || []);
+    const transport = new PollingTransport({ fetchCandles, pollInterval: 1000 }, handlers);
+
+    await transport.connect(["BTCUSD@1m"]);
+    await vi.advanceTimersByTimeAsync(1000);
+    transport.close();
+
+    expect(handlers.onMessage.mock.calls.map(([data]) => [data.timestamp, data.close])).toEqual([
+      [0, 10],
+      [60000, 11],
+      [60000, 12],
+    ]);
+    expect(handlers.onMessage.mock.calls[0][0]).toMatchObject({ symbol: "BTCUSD", width: "1m" });
+  });
+
+  it("fails to connect when the first poll fails", async () => {
+    const fetchCandles = vi.fn(async () => {
+      throw new Error("Network down");
+    });
+    const transport = new PollingTransport({ fetchCandles }, handlers);
+
+    await expect(transport.connect(["BTCUSD@1m"])).rejects.toThrow("Network down");
+    expect(transport.isOpen()).toBe(false);
+  });
+
+  it("closes and reports when a later poll fails", async () => {
+    const fetchCandles = vi
+      .fn()
+      .mockResolvedValueOnce([candle(0, 10)])
+      .mockRejectedValueOnce(new Error("Network down"));
+    const transport = new PollingTransport({ fetchCandles, pollInterval: 1000 }, handlers);
+
+    await transport.connect(["BTCUSD@1m"]);
+    await vi.advanceTimersByTimeAsync(1000);
+
+    expect(transport.isOpen()).toBe(false);
+    expect(handlers.onClose).toHaveBeenCalledWith("Polling failed: Network down");
+  });
+});
+
+describe("WebSocketTransport", () => {
+  let sockets;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+
+    // A socket that never opens nor closes, like an upgrade a proxy swallowed
+    sockets = [];
+    vi.stubGlobal(
+      "WebSocket",
+      class {
+        constructor(url) {
+          this.url = url;
+          this.close = vi.fn();
+          sockets.push(this);
+        }
+      }
+    );
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it("gives up on a socket that does not open in time", async () => {
+    const handlers = { onMessage: vi.fn(), onActivity: vi.fn(), onClose: vi.fn() };
+    const transport = new WebSocketTransport({ wsBaseUrl: "wss://example.test", connectTimeout: 3000 }, handlers);
+
+    const connecting = transport.connect(["BTCUSD@1m"]);
+    const result = expect(connecting).rejects.toThrow("WebSocket did not open within 3000ms");
+    await vi.advanceTimersByTimeAsync(3000);
+    await result;
+
+    const [socket] = sockets;
+    expect(socket.close).toHaveBeenCalled();
+    expect(socket.onopen).toBeNull();
+    expect(socket.onclose).toBeNull();
+    expect(transport.isOpen()).toBe(false);
+    expect(handlers.onClose).not.toHaveBeenCalled();
+  });
+});
+
+describe("createTransport", () => {
+  it.each([
+    ["websocket", null],
+    ["sse", null],
+    ["polling", "polling"],
+  ])("creates %s only where the browser supports it", (name, expected) => {
+    const transport = createTransport(name, { wsBaseUrl: "wss://example.test" }, {});
+    expect(transport ? transport.name : null).toBe(expected);
+  });
+
+  it("creates sse only when a stream URL is configured", () => {
+    vi.stubGlobal("EventSource", class {});
+
+    expect(createTransport("sse", { wsBaseUrl: "wss://example.test" }, {})).toBeNull();
+    expect(createTransport("sse", { sseUrl: "https://example.test/candle/stream" }, {}).name).toBe("sse");
+
+    vi.unstubAllGlobals();
+  });
+
+  it("rejects unknown transports", () => {
+    expect(() => createTransport("carrier-pigeon", {}, {})).toThrow("Unknown realtime transport");
+  });
+});
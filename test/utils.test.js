@@ -0,0 +1,288 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import {
+  parseInterval,
+  formatDuration,
+  mergeCandles,
+  calculateDataRange,
+  isTradingDay,
+  getMarketOpenTime,
+  findNearestTradingDay,
+} from "../src/utils";
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Wednesday 13 March 2024, 15:00 UTC
+const NOW = Date.UTC(2024, 2, 13, 15, 0);
+
+/**
+ * Get a UTC timestamp in the week of NOW, e.g. at(16, 12) for Saturday noon
+ */
+function at(date, hour = 0, minute = 0) {
+  return Date.UTC(2024, 2, date, hour, minute);
+}
+
+/**
+ * Build an instrument trading on the given UTC days
+ */
+function instrument(category, days, hour = 0, minute = 0) {
+  return {
+    symbol: category.toUpperCase(),
+    category,
+    market: days.map((day) => ({
+      open: { day, hour, minute },
+      close: { day, hour: 23, minute: 59 },
+    })),
+  };
+}
+
+const CRYPTO = instrument("Crypto", []);
+const FOREX = instrument("Forex", [1, 2, 3, 4, 5]);
+const STOCK = instrument("Stocks", [1, 2, 3, 4, 5], 13, 30);
+// A holiday week: closed Monday and Friday
+const HOLIDAY_STOCK = instrument("Stocks", [2, 3, 4], 13, 30);
+const NEVER_OPEN = instrument("Stocks", []);
+
+/**
+ * Build chart candles for a list of times in seconds
+ */
+function candles(times, close = 1) {
+  return times.map((time) => ({ time, open: close, high: close, low: close, close, volume: 0 }));
+}
+
+describe("utils", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(NOW);
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  describe("parseInterval", () => {
+    it.each([
+      ["1m", MINUTE],
+      ["15m", 15 * MINUTE],
+      ["4h", 4 * HOUR],
+      ["1d", DAY],
+      ["1w", 7 * DAY],
+      ["1mo", 30 * DAY],
+      ["3mo", 90 * DAY],
+    ])("parses %s", (interval, expected) => {
+      expect(parseInterval(interval)).toBe(expected);
+    });
+
+    it.each([
+      [undefined],
+      [null],
+      [""],
+      [5],
+      ["m"],
+      ["0m"],
+      ["-5m"],
+      ["abc"],
+      ["1y"],
+    ])("falls back to one day for invalid interval %j", (interval) => {
+      expect(parseInterval(interval)).toBe(DAY);
+    });
+  });
+
+  describe("formatDuration", () => {
+    it.each([
+      [DAY + 14 * HOUR + 5 * MINUTE, "1d 14h"],
+      [3 * HOUR + 12 * MINUTE + 30 * 1000, "3h 12m"],
+      [2 * DAY + 30 * MINUTE, "2d"],
+      [42 * MINUTE + 10 * 1000, "42m 10s"],
+      [9999, "9s"],
+      [0, "0s"],
+      [-5000, "0s"],
+    ])("formats %i ms as %s", (duration, expected) => {
+      expect(formatDuration(duration)).toBe(expected);
+    });
+  });
+
+  describe("mergeCandles", () => {
+    it.each([
+      {
+        name: "into empty data",
+        existing: candles([1, 2]),
+        incoming: [],
+        expected: candles([1, 2]),
+      },
+      {
+        name: "empty data into",
+        existing: [],
+        incoming: candles([1, 2]),
+        expected: candles([1, 2]),
+      },
+      {
+        name: "disjoint newer",
+        existing: candles([1, 2]),
+        incoming: candles([5, 6]),
+        expected: candles([1, 2, 5, 6]),
+      },
+      {
+        name: "disjoint older",
+        existing: candles([5, 6]),
+        incoming: candles([1, 2]),
+        expected: candles([1, 2, 5, 6]),
+      },
+      {
+        name: "interleaved",
+        existing: candles([1, 3, 5]),
+        incoming: candles([2, 4]),
+        expected: candles([1, 2, 3, 4, 5]),
+      },
+      {
+        name: "overlapping, newer values winning",
+        existing: candles([1, 2, 3]),
+        incoming: candles([3, 4], 2),
+        expected: [...candles([1, 2]), ...candles([3, 4], 2)],
+      },
+      {
+        name: "contained, newer values winning",
+        existing: candles([1, 2, 3, 4]),
+        incoming: candles([2, 3], 2),
+        expected: [...candles([1]), ...candles([2, 3], 2), ...candles([4])],
+      },
+    ])("merges $name", ({ existing, incoming, expected }) => {
+      expect(mergeCandles(existing, incoming)).toEqual(expected);
+    });
+
+    it.each([
+      [null, null, []],
+      [undefined, candles([1]), candles([1])],
+      [candles([1]), "not an array", candles([1])],
+    ])("treats non-array input as empty (%j, %j)", (existing, incoming, expected) => {
+      expect(mergeCandles(existing, incoming)).toEqual(expected);
+    });
+
+    it("drops entries without a numeric time when merging overlaps", () => {
+      const existing = [...candles([1]), { time: "2", close: 1 }, ...candles([3])];
+      const incoming = candles([2]);
+
+      expect(mergeCandles(existing, incoming).map((candle) => candle.time)).toEqual([1, 2, 3]);
+    });
+
+    it("leaves its inputs untouched", () => {
+      const existing = candles([1, 2, 3]);
+      const incoming = candles([2, 4], 2);
+
+      mergeCandles(existing, incoming);
+
+      expect(existing).toEqual(candles([1, 2, 3]));
+      expect(incoming).toEqual(candles([2, 4], 2));
+    });
+  });
+
+  describe("calculateDataRange", () => {
+    it.each([
+      { interval: "1m", bars: 100, padding: 50 },
+      { interval: "1m", bars: 3000, padding: 1000 },
+      { interval: "15m", bars: 100, padding: 40 },
+      { interval: "5m", bars: 3000, padding: 750 },
+      { interval: "1h", bars: 100, padding: 30 },
+      { interval: "1d", bars: 5000, padding: 500 },
+    ])("pads $bars $interval bars by $padding", ({ interval, bars, padding }) => {
+      const intervalMs = parseInterval(interval);
+      const end = Date.now();
+      const start = end - bars * intervalMs;
+
+      expect(calculateDataRange(interval, start, end)).toEqual({
+        start: start - padding * intervalMs,
+        end: end + padding * intervalMs,
+      });
+    });
+
+    it("counts a partial bar as visible", () => {
+      const end = Date.now();
+
+      expect(calculateDataRange("1h", end - 90 * MINUTE, end)).toEqual({
+        start: end - 90 * MINUTE - HOUR,
+        end: end + HOUR,
+      });
+    });
+
+    it("pads monthly bars by calendar months", () => {
+      expect(calculateDataRange("1mo", Date.UTC(2024, 0, 1), Date.UTC(2024, 6, 1))).toEqual({
+        start: Date.UTC(2023, 10, 1),
+        end: Date.UTC(2024, 8, 1),
+      });
+    });
+
+    it("uses daily bars for an invalid interval", () => {
+      const end = Date.now();
+
+      // Ten days from mid-afternoon touch 11 daily bars, padded by 4 a side
+      expect(calculateDataRange("bogus", end - 10 * DAY, end)).toEqual({
+        start: end - 14 * DAY,
+        end: end + 4 * DAY,
+      });
+    });
+  });
+
+  describe("isTradingDay", () => {
+    it.each([
+      ["crypto on a Sunday", CRYPTO, 0, true],
+      ["crypto on a Saturday", CRYPTO, 6, true],
+      ["forex on a Monday", FOREX, 1, true],
+      ["forex on a Sunday", FOREX, 0, false],
+      ["a stock on a Friday", STOCK, 5, true],
+      ["a stock on a Saturday", STOCK, 6, false],
+      ["a stock on a holiday Monday", HOLIDAY_STOCK, 1, false],
+      ["a stock on a Tuesday after a holiday", HOLIDAY_STOCK, 2, true],
+      ["a missing instrument", null, 1, false],
+      ["an instrument without market hours", { category: "Stocks" }, 1, false],
+    ])("answers for %s", (_name, subject, dayIndex, expected) => {
+      expect(isTradingDay(subject, dayIndex)).toBe(expected);
+    });
+  });
+
+  describe("getMarketOpenTime", () => {
+    it.each([
+      ["crypto keeps the time as is", CRYPTO, at(17, 10, 15), at(17, 10, 15)],
+      ["forex opens at midnight", FOREX, at(18, 5), at(18)],
+      ["a stock opens at 13:30", STOCK, at(13, 15), at(13, 13, 30)],
+      ["a stock before its open", STOCK, at(13, 9), at(13, 13, 30)],
+      ["a stock on a Saturday", STOCK, at(16, 12), null],
+      ["a stock on a holiday Friday", HOLIDAY_STOCK, at(15, 14), null],
+      ["a missing instrument", null, at(13), null],
+    ])("returns the open: %s", (_name, subject, timestamp, expected) => {
+      expect(getMarketOpenTime(subject, new Date(timestamp))).toBe(expected);
+    });
+  });
+
+  describe("findNearestTradingDay", () => {
+    it.each([
+      ["crypto short-circuits on a Sunday", CRYPTO, at(17, 10), at(17, 10)],
+      ["a missing instrument keeps the time", null, at(17, 10), at(17, 10)],
+      ["market hours missing keep the time", { symbol: "X", category: "Stocks" }, at(17, 10), at(17, 10)],
+      ["a trading day after the open keeps the time", STOCK, at(13, 15), at(13, 15)],
+      ["a trading day before the open moves to the open", STOCK, at(13, 9), at(13, 13, 30)],
+      ["Saturday looks back to Friday's open", STOCK, at(16, 12), at(15, 13, 30)],
+      ["Sunday looks back to Friday's open", STOCK, at(17, 20), at(15, 13, 30)],
+      ["Sunday forex looks back to Friday midnight", FOREX, at(17, 20), at(15)],
+      ["a holiday Monday looks back past the long weekend", HOLIDAY_STOCK, at(18, 10), at(14, 13, 30)],
+      ["no trading day in 30 days keeps the time", NEVER_OPEN, at(13, 15), at(13, 15)],
+    ])("%s", (_name, subject, timestamp, expected) => {
+      expect(findNearestTradingDay(subject, timestamp)).toBe(expected);
+    });
+
+    it.each([
+      // Sunday evening: the last trading session was Friday
+      [at(17, 20), 1, at(15, 13, 30)],
+      // Monday morning before the open: also Friday
+      [at(18, 9), 2, at(15, 13, 30)],
+      // Wednesday afternoon: Tuesday was open
+      [NOW, 1, at(12, 15)],
+    ])("resolves a lookback from the clock at %i going back %i days", (now, days, expected) => {
+      vi.setSystemTime(now);
+
+      expect(findNearestTradingDay(STOCK, Date.now() - days * DAY)).toBe(expected);
+    });
+  });
+});